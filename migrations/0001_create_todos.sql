@@ -1,6 +1,7 @@
+-- Baseline: the todos table as originally defined in schema.sql
 CREATE TABLE IF NOT EXISTS todos (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   title TEXT NOT NULL,
   description TEXT,
-  status TEXT NOT NULL DEFAULT "incomplete"
+  status TEXT NOT NULL DEFAULT 'incomplete'
 );
@@ -0,0 +1,13 @@
+-- Audit timestamps maintained by insertTodo, updateTodo and patchTodo
+ALTER TABLE todos ADD COLUMN created_at TEXT;
+ALTER TABLE todos ADD COLUMN updated_at TEXT;
+ALTER TABLE todos ADD COLUMN completed_at TEXT;
+
+UPDATE todos
+SET created_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now'),
+    updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+WHERE created_at IS NULL;
+
+UPDATE todos SET completed_at = updated_at WHERE status = 'complete' AND completed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_todos_updated_at ON todos (updated_at);
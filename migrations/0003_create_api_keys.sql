@@ -0,0 +1,10 @@
+-- API keys for the authentication layer; only SHA-256 hashes are stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  principal TEXT NOT NULL,
+  scopes TEXT NOT NULL DEFAULT 'todos:read todos:write',
+  created_at TEXT NOT NULL,
+  revoked_at TEXT
+);
@@ -0,0 +1,11 @@
+-- Users resolved from authenticated principals; every todo belongs to one
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  external_id TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL
+);
+
+-- Existing rows keep a NULL owner and are invisible until assigned
+ALTER TABLE todos ADD COLUMN owner_id INTEGER REFERENCES users(id);
+
+CREATE INDEX IF NOT EXISTS idx_todos_owner_id ON todos (owner_id, id);
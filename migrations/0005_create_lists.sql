@@ -0,0 +1,14 @@
+-- Lists (projects) that group a user's todos; todos without a list are in the inbox
+CREATE TABLE IF NOT EXISTS lists (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_id INTEGER NOT NULL REFERENCES users(id),
+  name TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_lists_owner_id ON lists (owner_id, id);
+
+ALTER TABLE todos ADD COLUMN list_id INTEGER REFERENCES lists(id);
+
+CREATE INDEX IF NOT EXISTS idx_todos_list_id ON todos (list_id);
@@ -0,0 +1,5 @@
+-- Subtasks: a todo may have a parent todo; sibling_order orders children
+ALTER TABLE todos ADD COLUMN parent_id INTEGER REFERENCES todos(id);
+ALTER TABLE todos ADD COLUMN sibling_order INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_todos_parent_id ON todos (parent_id, sibling_order);
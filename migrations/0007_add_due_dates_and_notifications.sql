@@ -0,0 +1,19 @@
+-- Due dates and reminders, stored as ISO 8601 timestamps normalized to UTC
+ALTER TABLE todos ADD COLUMN due_at TEXT;
+ALTER TABLE todos ADD COLUMN remind_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_todos_due_at ON todos (owner_id, due_at);
+CREATE INDEX IF NOT EXISTS idx_todos_remind_at ON todos (remind_at);
+
+-- Notifications recorded by the scheduled() cron handler
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_id INTEGER NOT NULL REFERENCES users(id),
+  todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  scheduled_for TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  UNIQUE (todo_id, type, scheduled_for)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_owner_id ON notifications (owner_id, id);
@@ -0,0 +1,2 @@
+-- RFC 5545 recurrence rule; completing a recurring todo creates its next occurrence
+ALTER TABLE todos ADD COLUMN rrule TEXT;
@@ -0,0 +1,28 @@
+-- Full-text index over todo titles and descriptions. The table keeps no copy
+-- of the text (content='todos'); the triggers below keep it in sync.
+CREATE VIRTUAL TABLE IF NOT EXISTS todos_fts USING fts5(
+  title,
+  description,
+  content='todos',
+  content_rowid='id',
+  tokenize='unicode61 remove_diacritics 2'
+);
+
+-- Title matches weigh more than description matches
+INSERT INTO todos_fts (todos_fts, rank) VALUES ('rank', 'bm25(10.0, 1.0)');
+
+CREATE TRIGGER IF NOT EXISTS todos_fts_after_insert AFTER INSERT ON todos BEGIN
+  INSERT INTO todos_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS todos_fts_after_delete AFTER DELETE ON todos BEGIN
+  INSERT INTO todos_fts (todos_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS todos_fts_after_update AFTER UPDATE OF title, description ON todos BEGIN
+  INSERT INTO todos_fts (todos_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+  INSERT INTO todos_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+END;
+
+-- Index the todos that existed before this migration
+INSERT INTO todos_fts (todos_fts) VALUES ('rebuild');
@@ -0,0 +1,10 @@
+-- Priority (low, medium, high or urgent) and the user's manual order.
+-- position is a fractional rank: a moved todo gets a value between its new
+-- neighbours, so a move only writes that one row.
+ALTER TABLE todos ADD COLUMN priority TEXT NOT NULL DEFAULT 'medium';
+ALTER TABLE todos ADD COLUMN position REAL NOT NULL DEFAULT 0;
+
+-- Existing todos keep their insertion order
+UPDATE todos SET position = id;
+
+CREATE INDEX IF NOT EXISTS idx_todos_position ON todos (owner_id, position);
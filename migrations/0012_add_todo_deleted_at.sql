@@ -0,0 +1,5 @@
+-- Soft delete: DELETE /todos/:id sets deleted_at and the todo sits in the
+-- trash until it is restored or purged
+ALTER TABLE todos ADD COLUMN deleted_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_todos_deleted_at ON todos (owner_id, deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Named status transitions run through POST /todos/:id/transitions, with the
+-- principal that triggered each one
+CREATE TABLE IF NOT EXISTS todo_transitions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+  owner_id INTEGER NOT NULL REFERENCES users(id),
+  name TEXT NOT NULL,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  triggered_by TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_todo_transitions_todo_id ON todo_transitions (todo_id, id);
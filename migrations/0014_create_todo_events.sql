@@ -0,0 +1,67 @@
+-- Change history of todos. The triggers below record every create, update,
+-- status change, trash and restore, so writes from any code path end up here.
+-- old_values and new_values are JSON objects holding only the fields that
+-- changed (all fields for a create). Purging a todo drops its history.
+CREATE TABLE IF NOT EXISTS todo_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  todo_id INTEGER NOT NULL REFERENCES todos(id) ON DELETE CASCADE,
+  owner_id INTEGER NOT NULL REFERENCES users(id),
+  type TEXT NOT NULL CHECK (type IN ('created', 'updated', 'status_changed', 'deleted', 'restored')),
+  old_values TEXT,
+  new_values TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_todo_events_todo_id ON todo_events (todo_id, id);
+CREATE INDEX IF NOT EXISTS idx_todo_events_owner_id ON todo_events (owner_id, id);
+
+CREATE TRIGGER IF NOT EXISTS todo_events_after_insert AFTER INSERT ON todos BEGIN
+  INSERT INTO todo_events (todo_id, owner_id, type, old_values, new_values, created_at)
+  VALUES (new.id, new.owner_id, 'created', NULL, json_object(
+    'title', new.title, 'description', new.description, 'status', new.status, 'priority', new.priority,
+    'list_id', new.list_id, 'parent_id', new.parent_id, 'due_at', new.due_at, 'remind_at', new.remind_at,
+    'rrule', new.rrule
+  ), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+END;
+
+-- Position, sibling order and timestamps change as a side effect of other
+-- writes and are not recorded
+CREATE TRIGGER IF NOT EXISTS todo_events_after_update AFTER UPDATE ON todos
+WHEN old.title IS NOT new.title OR old.description IS NOT new.description OR old.status IS NOT new.status
+  OR old.priority IS NOT new.priority OR old.list_id IS NOT new.list_id OR old.parent_id IS NOT new.parent_id
+  OR old.due_at IS NOT new.due_at OR old.remind_at IS NOT new.remind_at OR old.rrule IS NOT new.rrule
+  OR old.deleted_at IS NOT new.deleted_at
+BEGIN
+  INSERT INTO todo_events (todo_id, owner_id, type, old_values, new_values, created_at)
+  SELECT new.id, new.owner_id,
+    CASE
+      WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL THEN 'deleted'
+      WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL THEN 'restored'
+      WHEN old.status IS NOT new.status THEN 'status_changed'
+      ELSE 'updated'
+    END,
+    json_group_object(value ->> 0, value ->> 1), json_group_object(value ->> 0, value ->> 2), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  -- One [field, old, new] triple per field; D1 allows too few compound SELECT terms for a UNION
+  FROM json_each(json_array(
+    json_array('title', old.title, new.title),
+    json_array('description', old.description, new.description),
+    json_array('status', old.status, new.status),
+    json_array('priority', old.priority, new.priority),
+    json_array('list_id', old.list_id, new.list_id),
+    json_array('parent_id', old.parent_id, new.parent_id),
+    json_array('due_at', old.due_at, new.due_at),
+    json_array('remind_at', old.remind_at, new.remind_at),
+    json_array('rrule', old.rrule, new.rrule),
+    json_array('deleted_at', old.deleted_at, new.deleted_at)
+  ))
+  WHERE value ->> 1 IS NOT value ->> 2;
+END;
+
+-- Give the todos that existed before this migration their created event.
+-- Todos left without an owner by 0004 get theirs when they are assigned.
+INSERT INTO todo_events (todo_id, owner_id, type, old_values, new_values, created_at)
+SELECT id, owner_id, 'created', NULL, json_object(
+  'title', title, 'description', description, 'status', status, 'priority', priority,
+  'list_id', list_id, 'parent_id', parent_id, 'due_at', due_at, 'remind_at', remind_at,
+  'rrule', rrule
+), created_at FROM todos WHERE owner_id IS NOT NULL ORDER BY id;
@@ -0,0 +1,50 @@
+-- Every write that changes a todo's recorded fields increments its version;
+-- each history event carries the version it produced, so the todo's state at
+-- any version can be rebuilt from its events. Events from before this
+-- migration all belong to version 1, the state the todos have now.
+ALTER TABLE todos ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE todo_events ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+DROP TRIGGER IF EXISTS todo_events_after_insert;
+DROP TRIGGER IF EXISTS todo_events_after_update;
+
+CREATE TRIGGER IF NOT EXISTS todo_events_after_insert AFTER INSERT ON todos BEGIN
+  INSERT INTO todo_events (todo_id, owner_id, type, old_values, new_values, version, created_at)
+  VALUES (new.id, new.owner_id, 'created', NULL, json_object(
+    'title', new.title, 'description', new.description, 'status', new.status, 'priority', new.priority,
+    'list_id', new.list_id, 'parent_id', new.parent_id, 'due_at', new.due_at, 'remind_at', new.remind_at,
+    'rrule', new.rrule
+  ), new.version, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+END;
+
+CREATE TRIGGER IF NOT EXISTS todo_events_after_update AFTER UPDATE ON todos
+WHEN old.title IS NOT new.title OR old.description IS NOT new.description OR old.status IS NOT new.status
+  OR old.priority IS NOT new.priority OR old.list_id IS NOT new.list_id OR old.parent_id IS NOT new.parent_id
+  OR old.due_at IS NOT new.due_at OR old.remind_at IS NOT new.remind_at OR old.rrule IS NOT new.rrule
+  OR old.deleted_at IS NOT new.deleted_at
+BEGIN
+  INSERT INTO todo_events (todo_id, owner_id, type, old_values, new_values, version, created_at)
+  SELECT new.id, new.owner_id,
+    CASE
+      WHEN old.deleted_at IS NULL AND new.deleted_at IS NOT NULL THEN 'deleted'
+      WHEN old.deleted_at IS NOT NULL AND new.deleted_at IS NULL THEN 'restored'
+      WHEN old.status IS NOT new.status THEN 'status_changed'
+      ELSE 'updated'
+    END,
+    json_group_object(value ->> 0, value ->> 1), json_group_object(value ->> 0, value ->> 2), new.version,
+    strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+  -- One [field, old, new] triple per field; D1 allows too few compound SELECT terms for a UNION
+  FROM json_each(json_array(
+    json_array('title', old.title, new.title),
+    json_array('description', old.description, new.description),
+    json_array('status', old.status, new.status),
+    json_array('priority', old.priority, new.priority),
+    json_array('list_id', old.list_id, new.list_id),
+    json_array('parent_id', old.parent_id, new.parent_id),
+    json_array('due_at', old.due_at, new.due_at),
+    json_array('remind_at', old.remind_at, new.remind_at),
+    json_array('rrule', old.rrule, new.rrule),
+    json_array('deleted_at', old.deleted_at, new.deleted_at)
+  ))
+  WHERE value ->> 1 IS NOT value ->> 2;
+END;
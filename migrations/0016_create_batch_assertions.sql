@@ -0,0 +1,9 @@
+-- Lets an atomic POST /todos/batch roll back when one of its writes matches
+-- no row. Such a write does not fail by itself, so the batch follows it with
+-- an insert into this view, made only when changes() is 0, and the trigger
+-- aborts the batch's transaction. Nothing is ever stored.
+CREATE VIEW IF NOT EXISTS batch_assertions AS SELECT NULL AS operation;
+
+CREATE TRIGGER IF NOT EXISTS batch_assertions_instead_of_insert INSTEAD OF INSERT ON batch_assertions BEGIN
+  SELECT RAISE(ABORT, 'Batch operation failed');
+END;
@@ -0,0 +1,7 @@
+-- Secret tokens for the GET /calendar.ics feed, at most one per user. Only
+-- SHA-256 hashes are stored, as for api_keys.
+CREATE TABLE IF NOT EXISTS calendar_tokens (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL
+);
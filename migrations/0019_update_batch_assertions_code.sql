@@ -0,0 +1,9 @@
+-- Replaces the message raised by the batch_assertions trigger (0016) with a
+-- code no other error contains, so runTodoBatch can tell an assertion from any
+-- other failure however D1 wraps the message. Keep in sync with
+-- BATCH_ASSERTION_PATTERN in src/db.js.
+DROP TRIGGER IF EXISTS batch_assertions_instead_of_insert;
+
+CREATE TRIGGER IF NOT EXISTS batch_assertions_instead_of_insert INSTEAD OF INSERT ON batch_assertions BEGIN
+  SELECT RAISE(ABORT, 'TODO_BATCH_ASSERTION_FAILED');
+END;
@@ -0,0 +1,9 @@
+-- Adds the position of the failed operation to the code raised by the
+-- batch_assertions trigger (0019), e.g. TODO_BATCH_ASSERTION_FAILED:3, so an
+-- atomic batch can report which operation rolled it back. Keep in sync with
+-- BATCH_ASSERTION_PATTERN in src/db.js.
+DROP TRIGGER IF EXISTS batch_assertions_instead_of_insert;
+
+CREATE TRIGGER IF NOT EXISTS batch_assertions_instead_of_insert INSTEAD OF INSERT ON batch_assertions BEGIN
+  SELECT RAISE(ABORT, 'TODO_BATCH_ASSERTION_FAILED:' || new.operation);
+END;
@@ -0,0 +1,80 @@
+// scripts/migrate.js
+// Applies pending migrations to a local SQLite file, e.g. the one wrangler dev
+// keeps under .wrangler/state/v3/d1/. Requires Node 22.5+ for node:sqlite.
+//
+//   npm run migrate -- <database-file>           apply pending migrations
+//   npm run migrate -- <database-file> --status  show live version only
+import { DatabaseSync } from "node:sqlite";
+import { applyMigrations, getMigrationStatus } from "../src/migrations.js";
+
+/**
+ * Minimal D1-compatible wrapper around node:sqlite, covering the subset of
+ * the binding API the migration runner uses
+ */
+class LocalStatement {
+  constructor(db, sql, params = []) {
+    this.db = db;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    return new LocalStatement(this.db, this.sql, params);
+  }
+
+  async all() {
+    return { results: this.db.prepare(this.sql).all(...this.params), success: true };
+  }
+
+  async run() {
+    const { changes, lastInsertRowid } = this.db.prepare(this.sql).run(...this.params);
+    return { success: true, meta: { changes: Number(changes), last_row_id: Number(lastInsertRowid) } };
+  }
+}
+
+class LocalDatabase {
+  constructor(file) {
+    this.db = new DatabaseSync(file);
+  }
+
+  prepare(sql) {
+    return new LocalStatement(this.db, sql);
+  }
+
+  async batch(statements) {
+    this.db.exec("BEGIN");
+    try {
+      const results = [];
+      for (const statement of statements) results.push(await statement.run());
+      this.db.exec("COMMIT");
+      return results;
+    } catch (err) {
+      this.db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+}
+
+async function main() {
+  const [file, flag] = process.argv.slice(2);
+  if (!file) {
+    console.error("Usage: npm run migrate -- <database-file> [--status]");
+    process.exit(1);
+  }
+
+  const DB = new LocalDatabase(file);
+  if (flag === "--status") {
+    const { version, pending } = await getMigrationStatus(DB);
+    console.log(`Schema version: ${version}`);
+    console.log(pending.length ? `Pending: ${pending.join(", ")}` : "No pending migrations");
+  } else {
+    const { version, applied } = await applyMigrations(DB);
+    for (const name of applied) console.log(`Applied ${name}`);
+    console.log(`Schema version: ${version}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,6 @@
+// scripts/register-sql.js
+// Lets Node import .sql files as text, the way wrangler bundles them for the
+// Worker (see the Text rule in wrangler.jsonc). Used by mocha and migrate.js.
+import { register } from "node:module";
+
+register("./sql-hooks.js", import.meta.url);
@@ -0,0 +1,13 @@
+// scripts/sql-hooks.js
+import { readFile } from "node:fs/promises";
+
+/**
+ * Node module load hook that turns .sql files into a default-exported string
+ */
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(".sql")) {
+    const source = await readFile(new URL(url), "utf8");
+    return { format: "module", source: `export default ${JSON.stringify(source)};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,158 @@
+// src/auth.js
+import { base64UrlDecode, base64UrlEncode, toHex } from "./encoding.js";
+
+export const API_KEY_PREFIX = "todo_";
+export const CALENDAR_TOKEN_PREFIX = "cal_";
+export const SCOPES = {
+  READ: "todos:read",
+  WRITE: "todos:write",
+};
+export const DEFAULT_SCOPES = [SCOPES.READ, SCOPES.WRITE];
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both strings are equal
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Generates a new random API key. Only its hash is ever stored.
+ * @returns {string} API key such as todo_3q2...
+ */
+export function generateApiKey() {
+  return API_KEY_PREFIX + base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Generates a new random calendar feed token. Like API keys, only its hash
+ * is stored.
+ * @returns {string} Token such as cal_3q2...
+ */
+export function generateCalendarToken() {
+  return CALENDAR_TOKEN_PREFIX + base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Hashes an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {Promise<string>} Hex encoded SHA-256 digest
+ */
+export async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  return toHex(digest);
+}
+
+/**
+ * Imports the HMAC signing key for bearer tokens
+ * @param {string} secret - AUTH_TOKEN_SECRET value
+ * @returns {Promise<CryptoKey>} HMAC-SHA256 key
+ */
+function importTokenKey(secret) {
+  return crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+    "verify",
+  ]);
+}
+
+/**
+ * Signs a bearer token
+ * @param {Object} claims - Token claims: sub, scope (space separated) and optional exp (unix seconds)
+ * @param {string} secret - AUTH_TOKEN_SECRET value
+ * @returns {Promise<string>} Token in the form payload.signature
+ */
+export async function signToken(claims, secret) {
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  const key = await importTokenKey(secret);
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload));
+  return `${payload}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Verifies a bearer token signed by signToken
+ * @param {string} token - Token in the form payload.signature
+ * @param {string} secret - AUTH_TOKEN_SECRET value
+ * @param {number} now - Current time in unix seconds
+ * @returns {Promise<Object>} Validation result with claims and error
+ */
+export async function verifyToken(token, secret, now = Math.floor(Date.now() / 1000)) {
+  const [payload, signature, ...rest] = token.split(".");
+  if (!payload || !signature || rest.length > 0) return { claims: null, error: "Malformed token" };
+
+  let claims;
+  try {
+    const key = await importTokenKey(secret);
+    const valid = await crypto.subtle.verify("HMAC", key, base64UrlDecode(signature), new TextEncoder().encode(payload));
+    if (!valid) return { claims: null, error: "Invalid token signature" };
+    claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  } catch {
+    return { claims: null, error: "Malformed token" };
+  }
+
+  if (!claims || typeof claims.sub !== "string" || !claims.sub) return { claims: null, error: "Token has no subject" };
+  if (claims.exp !== undefined && (typeof claims.exp !== "number" || claims.exp <= now))
+    return { claims: null, error: "Token expired" };
+
+  return { claims, error: null };
+}
+
+/**
+ * Splits a space separated scope string
+ * @param {string} scope - Scopes such as "todos:read todos:write"
+ * @returns {string[]} Individual scopes
+ */
+function parseScopes(scope) {
+  return typeof scope === "string" ? scope.split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Resolves the caller of a request from an X-API-Key header or an
+ * Authorization: Bearer token
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment containing AUTH_TOKEN_SECRET
+ * @param {Function} findApiKey - Looks up an api_keys row by key hash
+ * @returns {Promise<Object>} Result with principal, or error and status
+ */
+export async function authenticate(request, env, findApiKey) {
+  const apiKey = request.headers.get("X-API-Key");
+  if (apiKey) {
+    const { results } = await findApiKey(await hashApiKey(apiKey));
+    const row = results[0];
+    if (!row) return { principal: null, error: "Invalid API key", status: 401 };
+    if (row.revoked_at) return { principal: null, error: "API key revoked", status: 401 };
+    return {
+      principal: { type: "api_key", id: row.principal, keyId: row.id, scopes: parseScopes(row.scopes) },
+      error: null,
+      status: null,
+    };
+  }
+
+  const header = request.headers.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    if (!env.AUTH_TOKEN_SECRET) return { principal: null, error: "Bearer tokens are not enabled", status: 401 };
+    const { claims, error } = await verifyToken(header.slice(7).trim(), env.AUTH_TOKEN_SECRET);
+    if (error) return { principal: null, error, status: 401 };
+    return {
+      principal: { type: "token", id: claims.sub, scopes: parseScopes(claims.scope) },
+      error: null,
+      status: null,
+    };
+  }
+
+  return { principal: null, error: "Authentication required", status: 401 };
+}
+
+/**
+ * Scope a request needs: reads for GET/HEAD, writes for everything else
+ * @param {string} method - HTTP method
+ * @returns {string} Required scope
+ */
+export function requiredScope(method) {
+  return method === "GET" || method === "HEAD" ? SCOPES.READ : SCOPES.WRITE;
+}
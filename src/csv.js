@@ -0,0 +1,86 @@
+// src/csv.js
+// Comma-separated values as described in RFC 4180: records end with CRLF and
+// fields containing commas, double quotes or line breaks are quoted, with
+// embedded double quotes doubled.
+
+/**
+ * Escapes one CSV field
+ * @param {*} value - Field value; null and undefined become an empty field
+ * @returns {string} Field, quoted when needed
+ */
+export function formatCsvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats one CSV record
+ * @param {Array} values - Field values
+ * @returns {string} Record terminated by CRLF
+ */
+export function formatCsvRecord(values) {
+  return values.map(formatCsvField).join(",") + "\r\n";
+}
+
+/**
+ * Parses CSV text into records. Fields may be quoted, and quoted fields may
+ * contain commas, doubled quotes and line breaks. Records may end with CRLF
+ * or LF; empty lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Object} Parse result with the records (arrays of fields, each with the line it starts on) and error
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push({ line: recordLine, fields: record });
+    record = [];
+    field = "";
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || (char === "\r" && text[i + 1] === "\n")) {
+      endRecord();
+      if (char === "\r") i++;
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) return { records: null, error: `Unterminated quoted field starting on line ${recordLine}` };
+  endRecord();
+  return { records, error: null };
+}
@@ -1,32 +1,943 @@
 // src/db.js
-export async function getAllTodos(DB) {
-  return await DB.prepare("SELECT * FROM todos").all();
+
+// Columns GET /todos may sort by, mapped to the SQL expression used for
+// ordering and cursor comparison. Nullable columns are coalesced so keyset
+// comparisons never hit NULL.
+export const SORTABLE_COLUMNS = {
+  id: "id",
+  position: "position",
+  title: "title",
+  description: "COALESCE(description, '')",
+  status: "status",
+  created_at: "created_at",
+  updated_at: "updated_at",
+  completed_at: "COALESCE(completed_at, '')",
+  due_at: "COALESCE(due_at, '')",
+  priority: "CASE priority WHEN 'low' THEN 0 WHEN 'medium' THEN 1 WHEN 'high' THEN 2 WHEN 'urgent' THEN 3 END",
+};
+
+// Priorities in the order of their SORTABLE_COLUMNS rank, so a cursor's
+// priority name can be compared against the CASE expression
+const PRIORITY_ORDER = ["low", "medium", "high", "urgent"];
+
+// completed_at keeps its original value while a todo stays complete and is
+// cleared as soon as it moves to any other status. Binds: new status, now.
+// (Column references in an UPDATE expression see the row's old values.)
+const COMPLETED_AT_SQL = "CASE WHEN ? = 'complete' THEN COALESCE(completed_at, ?) ELSE NULL END";
+
+// Every write that changes a todo's recorded fields (see the history triggers)
+// or its position also increments its version, which PUT and revert use to
+// detect stale writes
+const NEXT_VERSION_SQL = "version = version + 1";
+
+// Todos that still need doing; only these can be overdue or send reminders
+const OPEN_STATUS_SQL = "status NOT IN ('complete', 'archived')";
+
+// Every todo query takes the caller's user id (ownerId) and filters on
+// owner_id, so no function can reach another user's rows. Trashed todos
+// (deleted_at set) are likewise left out of everything but the trash functions.
+
+// Todo rows carry their tag names as a JSON array, sorted by name; parseTags
+// turns it into a real array. Renaming a tag therefore shows up on every todo.
+const TAGS_SQL = `(SELECT json_group_array(name) FROM (
+  SELECT tags.name FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+  WHERE todo_tags.todo_id = todos.id ORDER BY tags.name
+)) AS tags`;
+const TODO_COLUMNS = `*, ${TAGS_SQL}`;
+
+function parseTags(result) {
+  for (const row of result.results ?? []) {
+    if (typeof row.tags === "string") row.tags = JSON.parse(row.tags);
+  }
+  return result;
+}
+
+// Runs the statements of one todo write, batching them when there is more
+// than one. The last statement returns the todo row.
+async function runTodoStatements(DB, statements) {
+  if (statements.length === 1) return parseTags(await statements[0].all());
+  const results = await DB.batch(statements);
+  return parseTags(results[results.length - 1]);
+}
+
+export async function getAllTodos(
+  DB,
+  ownerId,
+  { status, priority, updatedSince, listId, dueBefore, dueAfter, overdue, tags, tagMode = "and", sort = "position", order = "asc", limit, after } = {}
+) {
+  const column = SORTABLE_COLUMNS[sort];
+  if (!column) throw new Error(`Unsupported sort column: ${sort}`);
+  const direction = order === "desc" ? "DESC" : "ASC";
+  const comparator = direction === "DESC" ? "<" : ">";
+
+  const where = ["owner_id = ?", "deleted_at IS NULL"];
+  const bindings = [ownerId];
+
+  if (status) {
+    where.push("status = ?");
+    bindings.push(status);
+  }
+
+  if (priority) {
+    where.push("priority = ?");
+    bindings.push(priority);
+  }
+
+  if (updatedSince) {
+    where.push("updated_at >= ?");
+    bindings.push(updatedSince);
+  }
+
+  // listId null selects the inbox (todos without a list)
+  if (listId === null) {
+    where.push("list_id IS NULL");
+  } else if (listId !== undefined) {
+    where.push("list_id = ?");
+    bindings.push(listId);
+  }
+
+  // due_at is stored normalized to UTC, so ISO strings compare chronologically
+  if (dueBefore) {
+    where.push("due_at < ?");
+    bindings.push(dueBefore);
+  }
+
+  if (dueAfter) {
+    where.push("due_at > ?");
+    bindings.push(dueAfter);
+  }
+
+  if (overdue !== undefined) {
+    const overdueSql = `(due_at < ? AND ${OPEN_STATUS_SQL})`;
+    where.push(overdue ? overdueSql : `NOT COALESCE(${overdueSql}, 0)`);
+    bindings.push(new Date().toISOString());
+  }
+
+  // "and" matches todos carrying every tag, "or" todos carrying any of them
+  if (tags?.length) {
+    let tagged = `SELECT todo_tags.todo_id FROM todo_tags JOIN tags ON tags.id = todo_tags.tag_id
+      WHERE tags.owner_id = ? AND tags.name IN (${tags.map(() => "?").join(", ")})`;
+    bindings.push(ownerId, ...tags);
+    if (tagMode === "and") {
+      tagged += " GROUP BY todo_tags.todo_id HAVING COUNT(*) = ?";
+      bindings.push(tags.length);
+    }
+    where.push(`id IN (${tagged})`);
+  }
+
+  if (after) {
+    if (sort === "id") {
+      where.push(`id ${comparator} ?`);
+      bindings.push(after.id);
+    } else {
+      const value = sort === "priority" ? PRIORITY_ORDER.indexOf(after.value) : after.value;
+      where.push(`(${column} ${comparator} ? OR (${column} = ? AND id ${comparator} ?))`);
+      bindings.push(value, value, after.id);
+    }
+  }
+
+  let sql = `SELECT ${TODO_COLUMNS} FROM todos WHERE ${where.join(" AND ")}`;
+  sql += sort === "id" ? ` ORDER BY id ${direction}` : ` ORDER BY ${column} ${direction}, id ${direction}`;
+  if (limit !== undefined) {
+    sql += " LIMIT ?";
+    bindings.push(limit);
+  }
+
+  return parseTags(await DB.prepare(sql).bind(...bindings).all());
+}
+
+export async function getTodoById(DB, ownerId, id) {
+  return parseTags(await DB.prepare(`SELECT ${TODO_COLUMNS} FROM todos WHERE id = ? AND owner_id = ? AND deleted_at IS NULL`).bind(id, ownerId).all());
+}
+
+// Highlighted fragments of the matched text; markers wrap each matched term
+const SNIPPET_SQL = `snippet(todos_fts, 0, '<mark>', '</mark>', '…', 16) AS title_snippet,
+  snippet(todos_fts, 1, '<mark>', '</mark>', '…', 16) AS description_snippet`;
+
+// Full-text search over title and description, best matches first. match is
+// an FTS5 query; after is the { value, id } of the previous page's last row,
+// where value is its rank (lower ranks are better matches).
+export async function searchTodos(DB, ownerId, { match, limit, after } = {}) {
+  const where = ["todos_fts MATCH ?", "todos.owner_id = ?", "todos.deleted_at IS NULL"];
+  const bindings = [match, ownerId];
+
+  if (after) {
+    where.push("(todos_fts.rank > ? OR (todos_fts.rank = ? AND todos.id > ?))");
+    bindings.push(after.value, after.value, after.id);
+  }
+
+  let sql = `SELECT todos.*, ${TAGS_SQL}, todos_fts.rank AS rank, ${SNIPPET_SQL}
+    FROM todos_fts JOIN todos ON todos.id = todos_fts.rowid
+    WHERE ${where.join(" AND ")} ORDER BY todos_fts.rank, todos.id`;
+  if (limit !== undefined) {
+    sql += " LIMIT ?";
+    bindings.push(limit);
+  }
+
+  return parseTags(await DB.prepare(sql).bind(...bindings).all());
+}
+
+// Columns callers may write on a todo; anything else in a fields object is
+// ignored. Timestamps and owner_id are maintained here.
+const WRITABLE_COLUMNS = ["title", "description", "status", "priority", "list_id", "parent_id", "due_at", "remind_at", "rrule"];
+
+// Next sibling_order under a parent, so new and moved subtasks go last.
+// Binds: parent_id (or null for top level), owner_id.
+const NEXT_SIBLING_ORDER_SQL =
+  "(SELECT COALESCE(MAX(sibling_order), 0) + 1 FROM todos WHERE parent_id IS ? AND owner_id = ?)";
+
+// Position after the caller's last todo, so new todos go to the end of the
+// manual order. Binds: owner_id.
+const NEXT_POSITION_SQL = "(SELECT COALESCE(MAX(position), 0) + 1 FROM todos WHERE owner_id = ?)";
+
+// Creates any of the caller's tags that do not exist yet. With a target (the
+// WHERE condition of a todo update and its bindings), nothing is created
+// unless that condition matches a todo.
+function upsertTagsStatement(DB, ownerId, names, target = null) {
+  const now = new Date().toISOString();
+  const guard = target === null ? "true" : `EXISTS (SELECT 1 FROM todos WHERE ${target.sql})`;
+  return DB.prepare(
+    `INSERT INTO tags (owner_id, name, created_at, updated_at)
+    SELECT ?, column1, ?, ? FROM (VALUES ${names.map(() => "(?)").join(", ")}) WHERE ${guard}
+    ON CONFLICT (owner_id, name) DO NOTHING`
+  ).bind(ownerId, now, now, ...names, ...(target === null ? [] : target.bindings));
+}
+
+// Links one of the caller's todos to the named tags. todoIdSql selects the
+// todo's id; its bindings come first.
+function linkTagsStatement(DB, ownerId, todoIdSql, todoIdBindings, names) {
+  return DB.prepare(
+    `INSERT INTO todo_tags (todo_id, tag_id)
+    SELECT todos.id, tags.id FROM todos JOIN tags ON tags.owner_id = todos.owner_id
+    WHERE todos.id = ${todoIdSql} AND todos.owner_id = ? AND todos.deleted_at IS NULL AND tags.name IN (${names.map(() => "?").join(", ")})`
+  ).bind(...todoIdBindings, ownerId, ...names);
+}
+
+function insertTodoStatements(DB, ownerId, todo) {
+  const now = new Date().toISOString();
+  const columns = WRITABLE_COLUMNS.filter((column) => Object.hasOwn(todo, column));
+  const values = columns.map((column) => todo[column]);
+  const completedAt = todo.status === "complete" ? now : null;
+
+  const names = ["owner_id", ...columns, "created_at", "updated_at", "completed_at"];
+  const placeholders = names.map(() => "?").join(", ");
+  const insert = DB.prepare(
+    `INSERT INTO todos (${names.join(", ")}, sibling_order, position)
+    VALUES (${placeholders}, ${NEXT_SIBLING_ORDER_SQL}, ${NEXT_POSITION_SQL}) RETURNING ${TODO_COLUMNS}`
+  ).bind(ownerId, ...values, now, now, completedAt, todo.parent_id ?? null, ownerId, ownerId);
+  if (!todo.tags?.length) return [insert];
+
+  // Inside the batch the caller's newest todo is the one just inserted
+  const newTodoIdSql = "(SELECT MAX(id) FROM todos WHERE owner_id = ?)";
+  return [
+    upsertTagsStatement(DB, ownerId, todo.tags),
+    insert,
+    linkTagsStatement(DB, ownerId, newTodoIdSql, [ownerId], todo.tags),
+    DB.prepare(`SELECT ${TODO_COLUMNS} FROM todos WHERE id = ${newTodoIdSql}`).bind(ownerId),
+  ];
+}
+
+// Writes return the row they touched (RETURNING, or a read inside the same
+// batch) so callers see exactly their write even when other requests write
+// concurrently. An empty result means no row matched the id.
+export async function insertTodo(DB, ownerId, todo) {
+  return await runTodoStatements(DB, insertTodoStatements(DB, ownerId, todo));
+}
+
+// Hands a recurring series on to its next occurrence in one batch: the
+// completed todo loses its rrule, so completing it again cannot create a
+// second copy, and the next occurrence is inserted. Returns the new todo.
+export async function insertNextOccurrence(DB, ownerId, previousId, todo) {
+  return await runTodoStatements(DB, [
+    DB.prepare(`UPDATE todos SET rrule = NULL, ${NEXT_VERSION_SQL} WHERE id = ? AND owner_id = ?`).bind(previousId, ownerId),
+    ...insertTodoStatements(DB, ownerId, todo),
+  ]);
+}
+
+// Statements for one todo update; the last one returns the updated row.
+// fields.tags, when present, replaces the todo's tags in the same batch.
+// With fromStatuses, nothing is written unless the todo currently has one of
+// those statuses; with version, nothing is written unless it is at that version.
+function updateTodoStatements(DB, ownerId, id, fields, { fromStatuses, version } = {}) {
+  const columns = WRITABLE_COLUMNS.filter((column) => Object.hasOwn(fields, column));
+  const target = { sql: "id = ? AND owner_id = ? AND deleted_at IS NULL", bindings: [id, ownerId] };
+  if (fromStatuses) {
+    target.sql += ` AND status IN (${fromStatuses.map(() => "?").join(", ")})`;
+    target.bindings.push(...fromStatuses);
+  }
+  if (version !== undefined) {
+    target.sql += " AND version = ?";
+    target.bindings.push(version);
+  }
+
+  const now = new Date().toISOString();
+  const assignments = columns.map((column) => `${column} = ?`);
+  const values = columns.map((column) => fields[column]);
+  assignments.push("updated_at = ?", NEXT_VERSION_SQL);
+  values.push(now);
+  if (columns.includes("status")) {
+    assignments.push(`completed_at = ${COMPLETED_AT_SQL}`);
+    values.push(fields.status, now);
+  }
+  if (columns.includes("parent_id")) {
+    assignments.push(`sibling_order = ${NEXT_SIBLING_ORDER_SQL}`);
+    values.push(fields.parent_id, ownerId);
+  }
+  const update = DB.prepare(
+    `UPDATE todos SET ${assignments.join(", ")} WHERE ${target.sql} RETURNING ${TODO_COLUMNS}`
+  ).bind(...values, ...target.bindings);
+  if (fields.tags === undefined) return [update];
+
+  // The tag statements run first and check the same target as the update
+  const targetIdSql = `(SELECT id FROM todos WHERE ${target.sql})`;
+  const statements = [DB.prepare(`DELETE FROM todo_tags WHERE todo_id = ${targetIdSql}`).bind(...target.bindings)];
+  if (fields.tags.length) {
+    statements.unshift(upsertTagsStatement(DB, ownerId, fields.tags, target));
+    statements.push(linkTagsStatement(DB, ownerId, targetIdSql, target.bindings, fields.tags));
+  }
+  return [...statements, update];
+}
+
+async function updateTodoColumns(DB, ownerId, id, fields, options) {
+  const columns = WRITABLE_COLUMNS.filter((column) => Object.hasOwn(fields, column));
+  if (columns.length === 0 && fields.tags === undefined) return await getTodoById(DB, ownerId, id);
+  return await runTodoStatements(DB, updateTodoStatements(DB, ownerId, id, fields, options));
+}
+
+// Full replacement used by PUT: title and description are required; status,
+// priority, list_id, due_at, remind_at, rrule and tags are only changed when
+// present. options.fromStatuses and options.version guard the update (see
+// updateTodoStatements).
+export async function updateTodo(DB, ownerId, id, todo, options) {
+  const { title, description } = todo;
+  const fields = { title, description };
+  for (const column of ["status", "priority", "list_id", "due_at", "remind_at", "rrule", "tags"]) {
+    if (Object.hasOwn(todo, column)) fields[column] = todo[column];
+  }
+  return await updateTodoColumns(DB, ownerId, id, fields, options);
+}
+
+// Partial update used by PATCH: only the supplied columns are touched
+export async function patchTodo(DB, ownerId, id, fields, options) {
+  return await updateTodoColumns(DB, ownerId, id, fields, options);
+}
+
+// Runs a named status transition and records it, with the principal that
+// triggered it, in one batch. Nothing is written unless the todo's status is
+// one of the transition's from statuses. The last batch result is the todo.
+export async function transitionTodo(DB, ownerId, id, { name, from, to, triggeredBy }) {
+  const record = DB.prepare(
+    `INSERT INTO todo_transitions (todo_id, owner_id, name, from_status, to_status, triggered_by, created_at)
+    SELECT id, owner_id, ?, status, ?, ?, ? FROM todos
+    WHERE id = ? AND owner_id = ? AND deleted_at IS NULL AND status IN (${from.map(() => "?").join(", ")})`
+  ).bind(name, to, triggeredBy, new Date().toISOString(), id, ownerId, ...from);
+  return await runTodoStatements(DB, [record, ...updateTodoStatements(DB, ownerId, id, { status: to }, { fromStatuses: from })]);
+}
+
+// Transitions recorded for one of the caller's todos, oldest first
+export async function getTransitions(DB, ownerId, todoId) {
+  return await DB.prepare(
+    "SELECT * FROM todo_transitions WHERE todo_id = ? AND owner_id = ? ORDER BY id"
+  ).bind(todoId, ownerId).all();
+}
+
+// History events are written by triggers on todos (migration 0014).
+// old_values and new_values come back parsed as before and after.
+function parseEvents(result) {
+  result.results = (result.results ?? []).map(({ old_values, new_values, ...event }) => ({
+    ...event,
+    before: old_values === null ? null : JSON.parse(old_values),
+    after: JSON.parse(new_values),
+  }));
+  return result;
+}
+
+// The caller's history events, newest first; todoId narrows them to one todo
+// and type to one kind of event. after is the { id } of the previous page's
+// last event. Events of trashed todos are kept until the todo is purged.
+export async function getEvents(DB, ownerId, { todoId, type, limit, after } = {}) {
+  const where = ["owner_id = ?"];
+  const bindings = [ownerId];
+
+  if (todoId !== undefined) {
+    where.push("todo_id = ?");
+    bindings.push(todoId);
+  }
+  if (type !== undefined) {
+    where.push("type = ?");
+    bindings.push(type);
+  }
+  if (after) {
+    where.push("id < ?");
+    bindings.push(after.id);
+  }
+
+  let sql = `SELECT * FROM todo_events WHERE ${where.join(" AND ")} ORDER BY id DESC`;
+  if (limit !== undefined) {
+    sql += " LIMIT ?";
+    bindings.push(limit);
+  }
+
+  return parseEvents(await DB.prepare(sql).bind(...bindings).all());
+}
+
+// Rebuilds the title, description and status one of the caller's todos had at
+// a version by replaying its history events up to that version. Returns no
+// row when the todo has no events up to that version.
+export async function getTodoSnapshot(DB, ownerId, id, version) {
+  const { results } = await DB.prepare(
+    "SELECT new_values FROM todo_events WHERE todo_id = ? AND owner_id = ? AND version <= ? ORDER BY id"
+  ).bind(id, ownerId, version).all();
+  if (results.length === 0) return { results: [] };
+
+  const state = Object.assign({}, ...results.map((event) => JSON.parse(event.new_values)));
+  const { title, description, status } = state;
+  return { results: [{ id, version, title, description, status }] };
+}
+
+// Moves a todo directly before or after an anchor todo by giving it a position
+// halfway between the anchor and the anchor's current neighbour, so only the
+// moved row is written. Once repeated moves into the same gap have used up the
+// floating point precision, the caller's positions are renumbered 1..n first.
+// Returns no row when the todo or the anchor is not one of the caller's live todos.
+export async function moveTodo(DB, ownerId, id, { before, after }) {
+  const anchorId = before ?? after;
+  const [neighbourSql, step] = before !== undefined ? ["MAX(position)", -1] : ["MIN(position)", 1];
+  const comparator = before !== undefined ? "<" : ">";
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { results } = await DB.prepare(
+      `SELECT anchor.position AS anchor, (
+        SELECT ${neighbourSql} FROM todos
+        WHERE owner_id = ? AND id != ? AND deleted_at IS NULL AND position ${comparator} anchor.position
+      ) AS neighbour
+      FROM todos AS anchor WHERE anchor.id = ? AND anchor.owner_id = ? AND anchor.deleted_at IS NULL`
+    ).bind(ownerId, id, anchorId, ownerId).all();
+    if (results.length === 0) return { results: [] };
+
+    const { anchor, neighbour } = results[0];
+    const position = neighbour === null ? anchor + step : (anchor + neighbour) / 2;
+    if (position !== anchor && position !== neighbour) {
+      return parseTags(
+        await DB.prepare(
+          `UPDATE todos SET position = ?, updated_at = ?, ${NEXT_VERSION_SQL}
+          WHERE id = ? AND owner_id = ? AND deleted_at IS NULL RETURNING ${TODO_COLUMNS}`
+        ).bind(position, new Date().toISOString(), id, ownerId).all()
+      );
+    }
+
+    await DB.prepare(
+      `UPDATE todos SET position = ranked.position, ${NEXT_VERSION_SQL}
+      FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY position, id) AS position FROM todos WHERE owner_id = ?) AS ranked
+      WHERE todos.id = ranked.id AND todos.position != ranked.position`
+    ).bind(ownerId).run();
+  }
+  throw new Error("Could not find a free position");
+}
+
+// Statements that move a todo to the trash together with its subtasks:
+// cascade trashes the whole subtree with the same deleted_at, so restoring the
+// todo brings it back too; otherwise children move up to the trashed todo's
+// parent. With version, nothing is written unless the todo is at that version.
+// The last statement is the todo's own update and returns its parent_id.
+function deleteTodoStatements(DB, ownerId, id, { cascade = false, version } = {}) {
+  const now = new Date().toISOString();
+  const target = { sql: "id = ? AND owner_id = ? AND deleted_at IS NULL", bindings: [id, ownerId] };
+  if (version !== undefined) {
+    target.sql += " AND version = ?";
+    target.bindings.push(version);
+  }
+  // The subtask statements run first and check the same target as the todo's
+  const guard = `EXISTS (SELECT 1 FROM todos WHERE ${target.sql})`;
+
+  const children = cascade
+    ? DB.prepare(
+        `WITH RECURSIVE subtree(id) AS (
+          SELECT id FROM todos WHERE parent_id = ? AND owner_id = ? AND deleted_at IS NULL AND ${guard}
+          UNION ALL
+          SELECT todos.id FROM todos JOIN subtree ON todos.parent_id = subtree.id WHERE todos.deleted_at IS NULL
+        )
+        UPDATE todos SET deleted_at = ?, ${NEXT_VERSION_SQL} WHERE id IN (SELECT id FROM subtree)`
+      ).bind(id, ownerId, ...target.bindings, now)
+    : DB.prepare(
+        `UPDATE todos SET parent_id = (SELECT parent_id FROM todos WHERE id = ? AND owner_id = ?), updated_at = ?, ${NEXT_VERSION_SQL}
+        WHERE parent_id = ? AND owner_id = ? AND deleted_at IS NULL AND ${guard}`
+      ).bind(id, ownerId, now, id, ownerId, ...target.bindings);
+  const todo = DB.prepare(
+    `UPDATE todos SET deleted_at = ?, ${NEXT_VERSION_SQL} WHERE ${target.sql} RETURNING parent_id`
+  ).bind(now, ...target.bindings);
+  return [children, todo];
+}
+
+// Moves a todo to the trash in one batch (see deleteTodoStatements). The last
+// batch result is the todo's own update.
+export async function deleteTodo(DB, ownerId, id, options) {
+  const results = await DB.batch(deleteTodoStatements(DB, ownerId, id, options));
+  return results[results.length - 1];
+}
+
+// Raised by the batch_assertions trigger (migration 0021) with the position of
+// the failed operation. D1 wraps it, as in
+// "D1_ERROR: TODO_BATCH_ASSERTION_FAILED:3: SQLITE_CONSTRAINT", so the code is
+// matched as a whole word.
+const BATCH_ASSERTION_PATTERN = /\bTODO_BATCH_ASSERTION_FAILED:(\d+)\b/;
+
+// Runs create, update and delete operations in one D1 batch, which is a
+// single transaction. Operations are
+//   { op: "create", todo }
+//   { op: "update", id, fields, fromStatuses, version } (see updateTodoStatements)
+//   { op: "delete", id, cascade, version } (see deleteTodoStatements)
+// Returns each operation's result in order: the created or updated todo, or
+// the trashed todo's parent_id; an empty result means no row matched.
+// With atomic, an update or delete that matches no row rolls the whole batch
+// back (see migrations 0016 and 0021); rolledBack is set instead and
+// failedOperation is the position of the first operation that matched no row.
+// Any other error rolls the batch back whether or not it is atomic, and is
+// thrown.
+export async function runTodoBatch(DB, ownerId, operations, { atomic = false } = {}) {
+  const statements = [];
+  const resultIndexes = [];
+  for (const [index, operation] of operations.entries()) {
+    if (operation.op === "create") {
+      statements.push(...insertTodoStatements(DB, ownerId, operation.todo));
+    } else if (operation.op === "update") {
+      const { id, fields, fromStatuses, version } = operation;
+      statements.push(...updateTodoStatements(DB, ownerId, id, fields, { fromStatuses, version }));
+    } else {
+      const { id, cascade, version } = operation;
+      statements.push(...deleteTodoStatements(DB, ownerId, id, { cascade, version }));
+    }
+    resultIndexes.push(statements.length - 1);
+
+    // Inserts always write a row, so only updates and deletes need a check
+    if (atomic && operation.op !== "create")
+      statements.push(DB.prepare("INSERT INTO batch_assertions (operation) SELECT ? WHERE changes() = 0").bind(index));
+  }
+
+  let results;
+  try {
+    results = await DB.batch(statements);
+  } catch (err) {
+    const match = atomic ? BATCH_ASSERTION_PATTERN.exec(String(err?.message)) : null;
+    if (match) return { results: [], rolledBack: true, failedOperation: Number(match[1]) };
+    throw err;
+  }
+  return { results: resultIndexes.map((index) => parseTags(results[index])), rolledBack: false };
 }
 
-export async function getTodoById(DB, id) {
-  return await DB.prepare("SELECT * FROM todos WHERE id = ?").bind(id).all();
+// The caller's trashed todos, most recently trashed first. after is the
+// { value, id } of the previous page's last row, where value is its deleted_at.
+export async function getTrash(DB, ownerId, { limit, after } = {}) {
+  const where = ["owner_id = ?", "deleted_at IS NOT NULL"];
+  const bindings = [ownerId];
+
+  if (after) {
+    where.push("(deleted_at < ? OR (deleted_at = ? AND id < ?))");
+    bindings.push(after.value, after.value, after.id);
+  }
+
+  let sql = `SELECT ${TODO_COLUMNS} FROM todos WHERE ${where.join(" AND ")} ORDER BY deleted_at DESC, id DESC`;
+  if (limit !== undefined) {
+    sql += " LIMIT ?";
+    bindings.push(limit);
+  }
+
+  return parseTags(await DB.prepare(sql).bind(...bindings).all());
+}
+
+// Takes a todo out of the trash in one batch, together with the subtasks that
+// were trashed with it. A todo whose parent is still in the trash is restored
+// at the top level. The last batch result is the restored todo.
+export async function restoreTodo(DB, ownerId, id) {
+  const now = new Date().toISOString();
+  const deletedAtSql = "(SELECT deleted_at FROM todos WHERE id = ? AND owner_id = ?)";
+  const results = await DB.batch([
+    DB.prepare(
+      `UPDATE todos SET parent_id = NULL, sibling_order = ${NEXT_SIBLING_ORDER_SQL}, ${NEXT_VERSION_SQL}
+      WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL
+        AND parent_id IN (SELECT id FROM todos WHERE deleted_at IS NOT NULL)`
+    ).bind(null, ownerId, id, ownerId),
+    DB.prepare(
+      `WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM todos WHERE parent_id = ? AND owner_id = ? AND deleted_at = ${deletedAtSql}
+        UNION ALL
+        SELECT todos.id FROM todos JOIN subtree ON todos.parent_id = subtree.id WHERE todos.deleted_at = ${deletedAtSql}
+      )
+      UPDATE todos SET deleted_at = NULL, updated_at = ?, ${NEXT_VERSION_SQL} WHERE id IN (SELECT id FROM subtree)`
+    ).bind(id, ownerId, id, ownerId, id, ownerId, now),
+    DB.prepare(
+      `UPDATE todos SET deleted_at = NULL, updated_at = ?, ${NEXT_VERSION_SQL} WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL
+      RETURNING ${TODO_COLUMNS}`
+    ).bind(now, id, ownerId),
+  ]);
+  return parseTags(results[results.length - 1]);
+}
+
+// Permanently deletes a trashed todo and everything below it; todos are only
+// ever trashed after their subtasks, so the whole subtree is in the trash.
+// Tags and notifications go with them (ON DELETE CASCADE).
+export async function purgeTodo(DB, ownerId, id) {
+  return await DB.prepare(
+    `WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM todos WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL
+      UNION ALL
+      SELECT todos.id FROM todos JOIN subtree ON todos.parent_id = subtree.id
+    )
+    DELETE FROM todos WHERE id IN (SELECT id FROM subtree)`
+  ).bind(id, ownerId).run();
+}
+
+// Permanently deletes every user's todos trashed before a cutoff, used by the
+// scheduled purge. Subtasks were trashed no later than their parent, so they
+// are purged no later than it either.
+export async function purgeExpiredTrash(DB, before) {
+  return await DB.prepare("DELETE FROM todos WHERE deleted_at < ?").bind(before).run();
+}
+
+export async function getChildren(DB, ownerId, parentId) {
+  return parseTags(
+    await DB.prepare(
+      `SELECT ${TODO_COLUMNS} FROM todos WHERE parent_id = ? AND owner_id = ? AND deleted_at IS NULL ORDER BY sibling_order, id`
+    ).bind(parentId, ownerId).all()
+  );
+}
+
+// Ids on the path from a todo up to its root, starting with the todo itself
+export async function getAncestorIds(DB, ownerId, id) {
+  return await DB.prepare(
+    `WITH RECURSIVE ancestors(id, parent_id, depth) AS (
+      SELECT id, parent_id, 0 FROM todos WHERE id = ? AND owner_id = ?
+      UNION ALL
+      SELECT todos.id, todos.parent_id, ancestors.depth + 1 FROM todos JOIN ancestors ON todos.id = ancestors.parent_id
+    )
+    SELECT id FROM ancestors ORDER BY depth`
+  ).bind(id, ownerId).all();
+}
+
+// Number of levels in the subtree rooted at a todo (1 for a todo without children)
+export async function getSubtreeHeight(DB, ownerId, id) {
+  return await DB.prepare(
+    `WITH RECURSIVE subtree(id, depth) AS (
+      SELECT id, 1 FROM todos WHERE id = ? AND owner_id = ?
+      UNION ALL
+      SELECT todos.id, subtree.depth + 1 FROM todos JOIN subtree ON todos.parent_id = subtree.id
+      WHERE todos.deleted_at IS NULL
+    )
+    SELECT MAX(depth) AS height FROM subtree`
+  ).bind(id, ownerId).all();
+}
+
+// Renumbers a parent's children in the given order, in one batch
+export async function reorderChildren(DB, ownerId, parentId, childIds) {
+  const now = new Date().toISOString();
+  const statements = childIds.map((childId, index) =>
+    DB.prepare(
+      "UPDATE todos SET sibling_order = ?, updated_at = ? WHERE id = ? AND parent_id = ? AND owner_id = ? AND deleted_at IS NULL"
+    ).bind(index + 1, now, childId, parentId, ownerId)
+  );
+  return await DB.batch(statements);
+}
+
+// Recomputes a parent's status from its subtasks and walks up the tree:
+// a parent whose non-archived children are all complete becomes complete,
+// and a complete parent with an unfinished child goes back to in-progress.
+// These are system updates, so the status workflow does not apply to them.
+// Returns the todos it changed, lowest first.
+export async function rollUpCompletion(DB, ownerId, parentId) {
+  const changed = [];
+  let currentId = parentId;
+  while (currentId) {
+    const { results } = await DB.prepare(
+      `SELECT id, parent_id, status,
+        (SELECT COUNT(*) FROM todos AS child
+          WHERE child.parent_id = todos.id AND child.deleted_at IS NULL AND child.status != 'archived') AS total,
+        (SELECT COUNT(*) FROM todos AS child
+          WHERE child.parent_id = todos.id AND child.deleted_at IS NULL AND child.status = 'complete') AS done
+      FROM todos WHERE id = ? AND owner_id = ? AND deleted_at IS NULL`
+    ).bind(currentId, ownerId).all();
+    const parent = results[0];
+    if (!parent || parent.status === "archived") break;
+
+    let status = parent.status;
+    if (parent.total > 0 && parent.done === parent.total) status = "complete";
+    else if (parent.done < parent.total && parent.status === "complete") status = "in-progress";
+    if (status === parent.status) break;
+
+    const { results: updated } = await updateTodoColumns(DB, ownerId, currentId, { status });
+    changed.push(updated[0]);
+    currentId = parent.parent_id;
+  }
+  return changed;
+}
+
+// Records a notification for every open todo whose reminder time has passed.
+// A reminder fires once per remind_at value, so re-running is harmless and
+// moving remind_at schedules a new one.
+export async function recordDueReminders(DB, now) {
+  return await DB.prepare(
+    `INSERT INTO notifications (owner_id, todo_id, type, scheduled_for, created_at)
+    SELECT owner_id, id, 'reminder', remind_at, ? FROM todos
+    WHERE remind_at <= ? AND owner_id IS NOT NULL AND deleted_at IS NULL AND ${OPEN_STATUS_SQL}
+      AND NOT EXISTS (
+        SELECT 1 FROM notifications
+        WHERE notifications.todo_id = todos.id AND notifications.type = 'reminder'
+          AND notifications.scheduled_for = todos.remind_at
+      )
+    RETURNING *`
+  ).bind(now, now).all();
 }
 
-export async function insertTodo(DB, title, description, status) {
+// Resolves an authenticated principal to its users row, creating it on first
+// use. The no-op update makes RETURNING yield the row on conflict as well.
+export async function getOrCreateUser(DB, externalId) {
   return await DB.prepare(
-    "INSERT INTO todos (title, description, status) VALUES (?, ?, ?)"
-  ).bind(title, description, status).run();
+    "INSERT INTO users (external_id, created_at) VALUES (?, ?) ON CONFLICT(external_id) DO UPDATE SET external_id = excluded.external_id RETURNING *"
+  ).bind(externalId, new Date().toISOString()).all();
 }
 
-export async function getLatestTodo(DB) {
-  return await DB.prepare("SELECT * FROM todos ORDER BY id DESC LIMIT 1").all();
+// Assigns the todos that predate users (migration 0004 left them without an
+// owner) to one user. They never got a created event, so it is recorded now,
+// dated when the todo was created.
+export async function claimUnownedTodos(DB, ownerId) {
+  const results = await DB.batch([
+    DB.prepare(
+      `INSERT INTO todo_events (todo_id, owner_id, type, old_values, new_values, version, created_at)
+      SELECT id, ?, 'created', NULL, json_object(
+        'title', title, 'description', description, 'status', status, 'priority', priority,
+        'list_id', list_id, 'parent_id', parent_id, 'due_at', due_at, 'remind_at', remind_at,
+        'rrule', rrule
+      ), version, created_at FROM todos WHERE owner_id IS NULL ORDER BY id`
+    ).bind(ownerId),
+    DB.prepare("UPDATE todos SET owner_id = ? WHERE owner_id IS NULL").bind(ownerId),
+  ]);
+  return results[1];
 }
 
-export async function todoExists(DB, id) {
-  return await DB.prepare("SELECT 1 FROM todos WHERE id = ?").bind(id).all();
+export async function getApiKeyByHash(DB, keyHash) {
+  return await DB.prepare("SELECT * FROM api_keys WHERE key_hash = ?").bind(keyHash).all();
+}
+
+export async function insertApiKey(DB, name, keyHash, principal, scopes) {
+  return await DB.prepare(
+    "INSERT INTO api_keys (name, key_hash, principal, scopes, created_at) VALUES (?, ?, ?, ?, ?) RETURNING id, name, principal, scopes, created_at"
+  ).bind(name, keyHash, principal, scopes, new Date().toISOString()).all();
+}
+
+export async function revokeApiKey(DB, id) {
+  return await DB.prepare(
+    "UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL"
+  ).bind(new Date().toISOString(), id).run();
 }
 
-export async function updateTodo(DB, id, title, description, status) {
+export async function upsertCalendarToken(DB, ownerId, tokenHash) {
   return await DB.prepare(
-    "UPDATE todos SET title = ?, description = ?, status = ? WHERE id = ?"
-  ).bind(title, description, status, id).run();
+    "INSERT INTO calendar_tokens (user_id, token_hash, created_at) VALUES (?, ?, ?) ON CONFLICT(user_id) DO UPDATE SET token_hash = excluded.token_hash, created_at = excluded.created_at RETURNING created_at"
+  ).bind(ownerId, tokenHash, new Date().toISOString()).all();
 }
 
-export async function deleteTodo(DB, id) {
-  return await DB.prepare("DELETE FROM todos WHERE id = ?").bind(id).run();
+export async function deleteCalendarToken(DB, ownerId) {
+  return await DB.prepare("DELETE FROM calendar_tokens WHERE user_id = ?").bind(ownerId).run();
+}
+
+export async function getCalendarTokenOwner(DB, tokenHash) {
+  return await DB.prepare("SELECT user_id FROM calendar_tokens WHERE token_hash = ?").bind(tokenHash).all();
+}
+
+const TODO_COUNT_SQL =
+  "(SELECT COUNT(*) FROM todos WHERE todos.list_id = lists.id AND todos.deleted_at IS NULL) AS todo_count";
+const LIST_COLUMNS = `lists.*, ${TODO_COUNT_SQL}`;
+
+export async function getLists(DB, ownerId) {
+  return await DB.prepare(`SELECT ${LIST_COLUMNS} FROM lists WHERE owner_id = ? ORDER BY name, id`).bind(ownerId).all();
+}
+
+export async function getListById(DB, ownerId, id) {
+  return await DB.prepare(`SELECT ${LIST_COLUMNS} FROM lists WHERE id = ? AND owner_id = ?`).bind(id, ownerId).all();
+}
+
+export async function insertList(DB, ownerId, name) {
+  const now = new Date().toISOString();
+  return await DB.prepare(
+    "INSERT INTO lists (owner_id, name, created_at, updated_at) VALUES (?, ?, ?, ?) RETURNING *, 0 AS todo_count"
+  ).bind(ownerId, name, now, now).all();
+}
+
+export async function updateList(DB, ownerId, id, name) {
+  return await DB.prepare(
+    `UPDATE lists SET name = ?, updated_at = ? WHERE id = ? AND owner_id = ? RETURNING *, ${TODO_COUNT_SQL}`
+  ).bind(name, new Date().toISOString(), id, ownerId).all();
+}
+
+// Deletes a list and, in one batch, either moves its todos to the trash
+// (cascade) or to the inbox. Either way they leave the list, trashed ones
+// included, so they restore into the inbox. The last batch result is the list
+// deletion.
+export async function deleteList(DB, ownerId, id, { cascade = false } = {}) {
+  const now = new Date().toISOString();
+  const todos = cascade
+    ? DB.prepare(
+        `UPDATE todos SET list_id = NULL, deleted_at = COALESCE(deleted_at, ?), ${NEXT_VERSION_SQL} WHERE list_id = ? AND owner_id = ?`
+      ).bind(now, id, ownerId)
+    : DB.prepare(
+        `UPDATE todos SET list_id = NULL, updated_at = ?, ${NEXT_VERSION_SQL} WHERE list_id = ? AND owner_id = ?`
+      ).bind(now, id, ownerId);
+  const list = DB.prepare("DELETE FROM lists WHERE id = ? AND owner_id = ?").bind(id, ownerId);
+  const results = await DB.batch([todos, list]);
+  return results[results.length - 1];
+}
+
+const TAG_TODO_COUNT_SQL = `(SELECT COUNT(*) FROM todo_tags JOIN todos ON todos.id = todo_tags.todo_id
+  WHERE todo_tags.tag_id = tags.id AND todos.deleted_at IS NULL) AS todo_count`;
+const TAG_COLUMNS = `tags.*, ${TAG_TODO_COUNT_SQL}`;
+
+export async function getTags(DB, ownerId) {
+  return await DB.prepare(`SELECT ${TAG_COLUMNS} FROM tags WHERE owner_id = ? ORDER BY name, id`).bind(ownerId).all();
+}
+
+export async function getTagById(DB, ownerId, id) {
+  return await DB.prepare(`SELECT ${TAG_COLUMNS} FROM tags WHERE id = ? AND owner_id = ?`).bind(id, ownerId).all();
+}
+
+// Returns no row when the caller already has a tag with that name (ignoring case)
+export async function insertTag(DB, ownerId, name) {
+  const now = new Date().toISOString();
+  return await DB.prepare(
+    `INSERT INTO tags (owner_id, name, created_at, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (owner_id, name) DO NOTHING RETURNING *, 0 AS todo_count`
+  ).bind(ownerId, name, now, now).all();
+}
+
+// Returns no row when the tag does not exist or another tag already has the name
+export async function updateTag(DB, ownerId, id, name) {
+  return await DB.prepare(
+    `UPDATE OR IGNORE tags SET name = ?, updated_at = ? WHERE id = ? AND owner_id = ? RETURNING *, ${TAG_TODO_COUNT_SQL}`
+  ).bind(name, new Date().toISOString(), id, ownerId).all();
+}
+
+// Removes a tag from every todo and deletes it in one batch. The last batch
+// result is the tag deletion.
+export async function deleteTag(DB, ownerId, id) {
+  const results = await DB.batch([
+    DB.prepare("DELETE FROM todo_tags WHERE tag_id = (SELECT id FROM tags WHERE id = ? AND owner_id = ?)").bind(id, ownerId),
+    DB.prepare("DELETE FROM tags WHERE id = ? AND owner_id = ?").bind(id, ownerId),
+  ]);
+  return results[results.length - 1];
+}
+
+// The secret is left out; only insertWebhook returns it
+const WEBHOOK_COLUMNS = "id, url, events, active, created_at, updated_at";
+
+export async function getWebhooks(DB, ownerId) {
+  return await DB.prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE owner_id = ? ORDER BY id`).bind(ownerId).all();
+}
+
+export async function getWebhookById(DB, ownerId, id) {
+  return await DB.prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = ? AND owner_id = ?`).bind(id, ownerId).all();
+}
+
+export async function insertWebhook(DB, ownerId, { url, events, secret }) {
+  const now = new Date().toISOString();
+  return await DB.prepare(
+    `INSERT INTO webhooks (owner_id, url, events, secret, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING ${WEBHOOK_COLUMNS}, secret`
+  ).bind(ownerId, url, events, secret, now, now).all();
+}
+
+// fields holds any of url, events and active
+export async function updateWebhook(DB, ownerId, id, fields) {
+  const columns = ["url", "events", "active"].filter((column) => Object.hasOwn(fields, column));
+  const assignments = [...columns.map((column) => `${column} = ?`), "updated_at = ?"];
+  return await DB.prepare(
+    `UPDATE webhooks SET ${assignments.join(", ")} WHERE id = ? AND owner_id = ? RETURNING ${WEBHOOK_COLUMNS}`
+  ).bind(...columns.map((column) => fields[column]), new Date().toISOString(), id, ownerId).all();
+}
+
+// Deliveries and their attempts go with the webhook (ON DELETE CASCADE)
+export async function deleteWebhook(DB, ownerId, id) {
+  return await DB.prepare("DELETE FROM webhooks WHERE id = ? AND owner_id = ?").bind(id, ownerId).run();
+}
+
+// Queues, in one batch, a pending delivery of each { event, payload } for each
+// of the owner's active webhooks subscribed to that event, due immediately.
+// The batch has one result per event listing the queued deliveries' ids.
+export async function queueWebhookDeliveries(DB, ownerId, events, now) {
+  return await DB.batch(
+    events.map(({ event, payload }) =>
+      DB.prepare(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at)
+        SELECT id, ?, ?, ?, ? FROM webhooks
+        WHERE owner_id = ? AND active = 1 AND instr(' ' || events || ' ', ' ' || ? || ' ') > 0
+        RETURNING id`
+      ).bind(event, payload, now, now, ownerId, event)
+    )
+  );
+}
+
+// Claims up to limit pending deliveries that are due by moving their
+// next_attempt_at to leaseUntil, so a concurrent run skips them and a run
+// that dies mid-delivery is retried once the lease expires. Returns the
+// claimed deliveries with their webhook's url and secret.
+export async function claimWebhookDeliveries(DB, now, leaseUntil, limit) {
+  const { results: claimed } = await DB.prepare(
+    `UPDATE webhook_deliveries SET next_attempt_at = ?
+    WHERE id IN (
+      SELECT webhook_deliveries.id FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+      WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ? AND webhooks.active = 1
+      ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id LIMIT ?
+    )
+    RETURNING id`
+  ).bind(leaseUntil, now, limit).all();
+  if (claimed.length === 0) return { results: [] };
+
+  const ids = claimed.map((row) => row.id);
+  return await DB.prepare(
+    `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+    FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+    WHERE webhook_deliveries.id IN (${ids.map(() => "?").join(", ")}) ORDER BY webhook_deliveries.id`
+  ).bind(...ids).all();
+}
+
+// Logs an attempt and moves the delivery to the outcome's status in one batch
+export async function recordWebhookAttempt(DB, deliveryId, { attempted_at, response_status, error, duration_ms, status, next_attempt_at }) {
+  return await DB.batch([
+    DB.prepare(
+      "INSERT INTO webhook_attempts (delivery_id, attempted_at, response_status, error, duration_ms) VALUES (?, ?, ?, ?, ?)"
+    ).bind(deliveryId, attempted_at, response_status, error, duration_ms),
+    DB.prepare(
+      `UPDATE webhook_deliveries SET attempt_count = attempt_count + 1, status = ?, next_attempt_at = ?,
+      delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE NULL END WHERE id = ?`
+    ).bind(status, next_attempt_at, status, attempted_at, deliveryId),
+  ]);
+}
+
+// A webhook's deliveries, newest first, each with its payload parsed and its
+// attempts oldest first. after is the { id } of the previous page's last delivery.
+export async function getWebhookDeliveries(DB, ownerId, webhookId, { limit, after } = {}) {
+  const bindings = [webhookId, ownerId];
+  let sql = `SELECT webhook_deliveries.id, event, payload, status, attempt_count, next_attempt_at,
+    webhook_deliveries.created_at, delivered_at
+    FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+    WHERE webhook_id = ? AND webhooks.owner_id = ?`;
+  if (after) {
+    sql += " AND webhook_deliveries.id < ?";
+    bindings.push(after.id);
+  }
+  sql += " ORDER BY webhook_deliveries.id DESC LIMIT ?";
+  bindings.push(limit);
+
+  const result = await DB.prepare(sql).bind(...bindings).all();
+  const deliveries = result.results ?? [];
+  if (deliveries.length === 0) return { ...result, results: [] };
+
+  const { results: attempts } = await DB.prepare(
+    `SELECT delivery_id, attempted_at, response_status, error, duration_ms FROM webhook_attempts
+    WHERE delivery_id IN (${deliveries.map(() => "?").join(", ")}) ORDER BY id`
+  ).bind(...deliveries.map((delivery) => delivery.id)).all();
+
+  result.results = deliveries.map(({ payload, ...delivery }) => ({
+    ...delivery,
+    payload: JSON.parse(payload),
+    attempts: attempts.filter((attempt) => attempt.delivery_id === delivery.id).map(({ delivery_id: _, ...attempt }) => attempt),
+  }));
+  return result;
 }
@@ -0,0 +1,34 @@
+// src/encoding.js
+
+/**
+ * Encodes bytes or a UTF-8 string as unpadded base64url
+ * @param {Uint8Array|ArrayBuffer|string} input - Data to encode
+ * @returns {string} Base64url string
+ */
+export function base64UrlEncode(input) {
+  const bytes = typeof input === "string" ? new TextEncoder().encode(input) : new Uint8Array(input);
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decodes an unpadded base64url string
+ * @param {string} input - Base64url string
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the input is not valid base64url
+ */
+export function base64UrlDecode(input) {
+  if (typeof input !== "string" || !/^[A-Za-z0-9_-]*$/.test(input)) throw new Error("Invalid base64url");
+  const binary = atob(input.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encodes bytes as lowercase hex
+ * @param {ArrayBuffer|Uint8Array} buffer - Data to encode
+ * @returns {string} Hex string
+ */
+export function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
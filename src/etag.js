@@ -0,0 +1,50 @@
+// src/etag.js
+// Entity tags for conditional requests (RFC 9110, section 8.8.3). A tag is
+// the SHA-256 digest of a response body's JSON, so it changes whenever
+// anything in the representation does, including a todo's version.
+import { base64UrlEncode } from "./encoding.js";
+
+/**
+ * Computes the strong entity tag of a JSON representation
+ * @param {*} value - Value the response body serializes
+ * @returns {Promise<string>} Quoted entity tag such as "3q2-..."
+ */
+export async function computeETag(value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(JSON.stringify(value)));
+  return `"${base64UrlEncode(digest)}"`;
+}
+
+/**
+ * Parses an If-Match or If-None-Match header value
+ * @param {string} header - Header value such as "a", W/"b" or *
+ * @returns {Object[]|string} Entity tags with their weak flag, or "*"
+ */
+export function parseETagList(header) {
+  if (header.trim() === "*") return "*";
+  const tags = [];
+  for (const match of header.matchAll(/(W\/)?("[^"]*")/g)) tags.push({ weak: match[1] !== undefined, tag: match[2] });
+  return tags;
+}
+
+/**
+ * Evaluates If-Match, which uses the strong comparison: weak tags never match
+ * @param {string} header - If-Match header value
+ * @param {string|null} etag - Current entity tag, or null if the resource does not exist
+ * @returns {boolean} True if the precondition holds
+ */
+export function ifMatch(header, etag) {
+  if (etag === null) return false;
+  const tags = parseETagList(header);
+  return tags === "*" || tags.some(({ weak, tag }) => !weak && tag === etag);
+}
+
+/**
+ * Evaluates If-None-Match, which uses the weak comparison
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} True if the client's copy is current, i.e. the response can be 304
+ */
+export function ifNoneMatch(header, etag) {
+  const tags = parseETagList(header);
+  return tags === "*" || tags.some(({ tag }) => tag === etag);
+}
@@ -0,0 +1,253 @@
+// src/ical.js
+// Reads and writes the VTODO components of RFC 5545 iCalendar files. Lines
+// end with CRLF and are folded at 75 octets; TEXT values escape backslashes,
+// semicolons, commas and line breaks.
+//
+// Times are written in UTC. When reading, DATE values become midnight UTC and
+// local times (floating or with a TZID) are taken as UTC.
+
+export const CALENDAR_MEDIA_TYPE = "text/calendar";
+const PRODID = "-//todos//Cloudflare D1 ToDo API//EN";
+const MAX_LINE_OCTETS = 75;
+
+const STATUSES = {
+  incomplete: "NEEDS-ACTION",
+  "in-progress": "IN-PROCESS",
+  complete: "COMPLETED",
+  archived: "CANCELLED",
+};
+// iCalendar priorities run from 1 (highest) to 9 (lowest); 0 means undefined
+const PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+/**
+ * Escapes a TEXT value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+export function escapeText(value) {
+  return String(value).replace(/[\\;,]/g, (char) => `\\${char}`).replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Reverses escapeText
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+export function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+/**
+ * Folds a content line so no line is longer than 75 octets, without
+ * splitting a UTF-8 sequence
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line terminated by CRLF
+ */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  let folded = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > MAX_LINE_OCTETS) {
+      folded += "\r\n ";
+      octets = 1;
+    }
+    folded += char;
+    octets += size;
+  }
+  return folded + "\r\n";
+}
+
+/**
+ * Formats an ISO timestamp as a UTC DATE-TIME
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string} Value such as 20250131T090000Z
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ * @param {string} value - Value such as 20250131, 20250131T090000 or 20250131T090000Z
+ * @returns {string|null} ISO 8601 timestamp in UTC, or null if the value is invalid
+ */
+export function parseDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hours = "00", minutes = "00", seconds = "00"] = match;
+  const iso = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`;
+  const time = Date.parse(iso);
+  // Date.parse rolls 20250231 over into March; reject it instead
+  if (isNaN(time) || new Date(time).toISOString().slice(0, 10) !== iso.slice(0, 10)) return null;
+  return new Date(time).toISOString();
+}
+
+/**
+ * Formats the start of a VCALENDAR object
+ * @param {string} name - Calendar name shown by clients
+ * @returns {string} Folded lines up to the first component
+ */
+export function formatCalendarHeader(name) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ].map(foldLine).join("");
+}
+
+/**
+ * Formats the end of a VCALENDAR object
+ * @returns {string} Closing line
+ */
+export function formatCalendarFooter() {
+  return foldLine("END:VCALENDAR");
+}
+
+/**
+ * Formats a todo as a VTODO component. Without a METHOD, DTSTAMP is the
+ * last modification time. A reminder becomes a display VALARM.
+ * @param {Object} todo - Todo with id, title, status, priority, timestamps and tags
+ * @param {string} domain - Host name that makes the UID globally unique
+ * @returns {string} Folded VTODO lines
+ */
+export function formatVTodo(todo, domain) {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:todo-${todo.id}@${domain}`,
+    `DTSTAMP:${formatDateTime(todo.updated_at)}`,
+    `CREATED:${formatDateTime(todo.created_at)}`,
+    `LAST-MODIFIED:${formatDateTime(todo.updated_at)}`,
+    `SUMMARY:${escapeText(todo.title)}`,
+  ];
+  if (todo.description) lines.push(`DESCRIPTION:${escapeText(todo.description)}`);
+  lines.push(`STATUS:${STATUSES[todo.status]}`, `PRIORITY:${PRIORITIES[todo.priority]}`);
+  if (todo.due_at) lines.push(`DUE:${formatDateTime(todo.due_at)}`);
+  if (todo.rrule) lines.push(`RRULE:${todo.rrule}`);
+  if (todo.completed_at) lines.push(`COMPLETED:${formatDateTime(todo.completed_at)}`);
+  if (todo.tags.length) lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(",")}`);
+  if (todo.remind_at)
+    lines.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeText(todo.title)}`,
+      `TRIGGER;VALUE=DATE-TIME:${formatDateTime(todo.remind_at)}`,
+      "END:VALARM"
+    );
+  lines.push("END:VTODO");
+  return lines.map(foldLine).join("");
+}
+
+/**
+ * Splits a content line into its name, parameters and value. Parameter
+ * values may be quoted and then contain ":" and ";".
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value }, or null if the line has no value
+ */
+function parseContentLine(line) {
+  const parts = [];
+  let part = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') quoted = !quoted;
+    if (!quoted && (char === ";" || char === ":")) {
+      parts.push(part);
+      part = "";
+      if (char === ":") {
+        const [name, ...params] = parts;
+        return {
+          name: name.toUpperCase(),
+          params: Object.fromEntries(
+            params.map((param) => {
+              const [key, ...rest] = param.split("=");
+              return [key.toUpperCase(), rest.join("=").replace(/^"|"$/g, "")];
+            })
+          ),
+          value: line.slice(i + 1),
+        };
+      }
+      continue;
+    }
+    part += char;
+  }
+  return null;
+}
+
+/**
+ * Maps the properties of one VTODO onto todo fields. Unknown STATUS values
+ * are passed through so validation can report them.
+ * @param {Object} properties - Content lines by property name
+ * @returns {Object} Todo fields, as in a POST /todos body
+ */
+function toTodoFields(properties) {
+  const fields = {};
+  const { SUMMARY, DESCRIPTION, STATUS, PRIORITY, DUE, RRULE, CATEGORIES, TRIGGER } = properties;
+
+  if (SUMMARY) fields.title = unescapeText(SUMMARY.value);
+  if (DESCRIPTION) fields.description = unescapeText(DESCRIPTION.value);
+  if (STATUS) {
+    const value = STATUS.value.toUpperCase();
+    fields.status = Object.keys(STATUSES).find((status) => STATUSES[status] === value) ?? STATUS.value;
+  }
+  if (PRIORITY && /^\d$/.test(PRIORITY.value) && PRIORITY.value !== "0") {
+    const level = Number(PRIORITY.value);
+    fields.priority = level <= 2 ? "urgent" : level <= 4 ? "high" : level <= 5 ? "medium" : "low";
+  }
+  if (DUE) fields.due_at = parseDateTime(DUE.value) ?? DUE.value;
+  if (RRULE) fields.rrule = RRULE.value;
+  if (CATEGORIES)
+    fields.tags = CATEGORIES.value.split(/(?<!\\),/).map((tag) => unescapeText(tag).trim()).filter(Boolean);
+  // Only absolute alarm times map onto remind_at; relative triggers are dropped
+  if (TRIGGER && TRIGGER.params.VALUE === "DATE-TIME") fields.remind_at = parseDateTime(TRIGGER.value) ?? TRIGGER.value;
+  return fields;
+}
+
+/**
+ * Reads the VTODO components of an iCalendar file. Other components, such
+ * as VEVENT, are skipped. Of each VTODO's alarms only the first TRIGGER is
+ * kept.
+ * @param {string} text - iCalendar text
+ * @returns {Object} Parse result with the todos (fields and the line the VTODO starts on) and error
+ */
+export function parseVTodos(text) {
+  // Unfold first, remembering the line each logical line started on
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if ((raw.startsWith(" ") || raw.startsWith("\t")) && lines.length) lines[lines.length - 1].text += raw.slice(1);
+    else if (raw.trim()) lines.push({ line: index + 1, text: raw });
+  });
+  if (!lines.length || lines[0].text.trim().toUpperCase() !== "BEGIN:VCALENDAR")
+    return { todos: null, error: "Not an iCalendar file (expected BEGIN:VCALENDAR)" };
+
+  const todos = [];
+  const stack = [];
+  let current = null;
+  for (const { line, text: content } of lines) {
+    const property = parseContentLine(content);
+    if (!property) return { todos: null, error: `Invalid content line on line ${line}` };
+
+    if (property.name === "BEGIN") {
+      const component = property.value.trim().toUpperCase();
+      stack.push(component);
+      if (component === "VTODO" && !current) current = { line, properties: {} };
+    } else if (property.name === "END") {
+      const component = property.value.trim().toUpperCase();
+      if (stack.pop() !== component) return { todos: null, error: `Unexpected END:${component} on line ${line}` };
+      if (component === "VTODO" && current && !stack.includes("VTODO")) {
+        todos.push({ line: current.line, fields: toTodoFields(current.properties) });
+        current = null;
+      }
+    } else if (current) {
+      // Properties of the VTODO itself win over those of its alarms
+      const inAlarm = stack[stack.length - 1] === "VALARM";
+      if (inAlarm ? property.name === "TRIGGER" : stack[stack.length - 1] === "VTODO")
+        current.properties[property.name] ??= property;
+    }
+  }
+  if (stack.length) return { todos: null, error: `Missing END:${stack[stack.length - 1]}` };
+  return { todos, error: null };
+}
@@ -1,19 +1,66 @@
 // src/index.js
 import { json, Router } from "itty-router";
 import * as db from './db.js';
+import * as auth from './auth.js';
+import { applyMigrations, getMigrationStatus } from './migrations.js';
+import { base64UrlDecode, base64UrlEncode } from './encoding.js';
+import { advanceRRule, expandRRule, formatRRule, parseRRule } from './rrule.js';
+import { availableTransitions, nextStatuses, parseTransitions, sourceStatuses } from './workflow.js';
+import { computeETag, ifMatch, ifNoneMatch } from './etag.js';
+import { formatCsvRecord, parseCsv } from './csv.js';
+import { parseTodoTxtLine } from './todotxt.js';
+import { CALENDAR_MEDIA_TYPE, formatCalendarFooter, formatCalendarHeader, formatVTodo, parseVTodos } from './ical.js';
+import { deliveryOutcome, generateWebhookSecret, isPrivateHost, sendWebhook, WEBHOOK_EVENTS } from './webhooks.js';
+import * as slack from './slack.js';
 
 export const dbLayer = { ...db };
+export const authLayer = { ...auth };
+export const slackLayer = { ...slack };
 
-const router = Router();
+const router = Router({ before: [withAuth] });
 
 // Constants
 const DEFAULT_STATUS = "incomplete";
+const DEFAULT_PRIORITY = "medium";
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 100;
+const MAX_LIST_NAME_LENGTH = 100;
+const MAX_TAG_NAME_LENGTH = 50;
+const MAX_TAGS_PER_TODO = 20;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_TODO_DEPTH = 5;
+const MAX_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const MAX_BATCH_OPERATIONS = 100;
+const EXPORT_PAGE_SIZE = 100;
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const MAX_IMPORT_RECORDS = 1000;
+const IMPORT_CHUNK_SIZE = 50;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const WEBHOOK_DELIVERY_BATCH = 25;
+// Longer than a cron run may last, so a claimed delivery is not sent twice
+const WEBHOOK_LEASE_MS = 15 * 60 * 1000;
+const SLACK_LIST_LIMIT = 20;
+// Fields an import record may set; ids and timestamps from another system are ignored
+const IMPORT_FIELDS = ["title", "description", "status", "priority", "due_at", "remind_at", "rrule", "tags"];
+const EXPORT_COLUMNS = [
+  "id", "title", "description", "status", "priority", "list_id", "parent_id", "tags",
+  "due_at", "remind_at", "rrule", "created_at", "updated_at", "completed_at",
+];
+const EVENT_TYPES = ["created", "updated", "status_changed", "deleted", "restored"];
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  CONFLICT: 409,
   NOT_FOUND: 404,
   METHOD_NOT_ALLOWED: 405,
+  PRECONDITION_FAILED: 412,
+  PAYLOAD_TOO_LARGE: 413,
+  FAILED_DEPENDENCY: 424,
   INTERNAL_SERVER_ERROR: 500,
 };
 
@@ -27,6 +74,25 @@ function isValidStatus(status) {
   return validStatuses.includes(status);
 }
 
+/**
+ * Validates todo priority
+ * @param {string} priority - Priority to validate
+ * @returns {boolean} True if priority is valid
+ */
+function isValidPriority(priority) {
+  const validPriorities = ["low", "medium", "high", "urgent"];
+  return validPriorities.includes(priority);
+}
+
+/**
+ * Validates a todo version number
+ * @param {*} version - Version to validate
+ * @returns {boolean} True if version is a positive integer
+ */
+function isValidVersion(version) {
+  return Number.isInteger(version) && version > 0;
+}
+
 /**
  * Sanitizes todo title by trimming and removing extra spaces
  * @param {string} title - Title to sanitize
@@ -97,6 +163,159 @@ function isValidDescription(description) {
   return true;
 }
 
+/**
+ * Parses the page size requested through the limit query parameter
+ * @param {string|undefined} limit - Raw limit query value
+ * @returns {number|null} Page size, or null if the value is invalid
+ */
+function parsePageLimit(limit) {
+  if (limit === undefined) return DEFAULT_PAGE_LIMIT;
+  if (typeof limit !== "string" || !/^\d+$/.test(limit)) return null;
+  const parsed = parseInt(limit);
+  if (parsed < 1 || parsed > MAX_PAGE_LIMIT) return null;
+  return parsed;
+}
+
+/**
+ * Parses an ISO 8601 timestamp and normalizes it to UTC
+ * @param {string} value - Timestamp such as 2025-01-31T09:00:00Z or 2025-01-31T10:00:00+01:00
+ * @returns {string|null} Normalized ISO string, or null if the value is invalid
+ */
+function parseTimestamp(value) {
+  if (typeof value !== "string") return null;
+  const pattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+  if (!pattern.test(value)) return null;
+  const time = Date.parse(value);
+  if (isNaN(time)) return null;
+  return new Date(time).toISOString();
+}
+
+/**
+ * Validates a due date or reminder time
+ * @param {*} value - Value to validate; null clears the field
+ * @returns {boolean} True if value is null or an ISO 8601 date-time with a timezone
+ */
+function isValidDateTime(value) {
+  if (value === null) return true;
+  if (typeof value !== "string" || !/T.*(Z|[+-]\d{2}:\d{2})$/.test(value)) return false;
+  return parseTimestamp(value) !== null;
+}
+
+/**
+ * Copies due_at, remind_at and rrule from a request body into todo fields.
+ * Times are normalized to UTC so they compare chronologically in SQL and
+ * rules are stored in canonical form.
+ * @param {Object} body - Request body
+ * @param {Object} fields - Todo fields to fill in
+ * @returns {string|null} Error message, or null if all values are valid
+ */
+function applyScheduleFields(body, fields) {
+  for (const column of ["due_at", "remind_at"]) {
+    if (body[column] === undefined) continue;
+    if (!isValidDateTime(body[column])) return `Invalid ${column} (expected ISO 8601 date-time with timezone)`;
+    fields[column] = body[column] === null ? null : parseTimestamp(body[column]);
+  }
+
+  if (body.rrule !== undefined) {
+    if (body.rrule === null) {
+      fields.rrule = null;
+    } else {
+      const { rule, error } = parseRRule(body.rrule);
+      if (error) return `Invalid rrule: ${error}`;
+      fields.rrule = formatRRule(rule);
+    }
+  }
+  return null;
+}
+
+/**
+ * Encodes the position after a row as an opaque, URL-safe cursor
+ * @param {Object} position - Sort column, order and the last row's sort value and id
+ * @returns {string} Base64url encoded cursor
+ */
+function encodeCursor(position) {
+  return base64UrlEncode(JSON.stringify(position));
+}
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url encoded cursor
+ * @returns {Object|null} Decoded position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(new TextDecoder().decode(base64UrlDecode(cursor)));
+    if (!position || typeof position !== "object" || !Number.isInteger(position.id)) return null;
+    return position;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks the admin bearer token configured through the ADMIN_TOKEN secret
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing ADMIN_TOKEN
+ * @returns {Response|null} Error response, or null if the caller is an admin
+ */
+function requireAdmin(request, env) {
+  if (!env.ADMIN_TOKEN)
+    return json({ error: "Admin API is disabled" }, { status: HTTP_STATUS.FORBIDDEN });
+
+  const header = request.headers.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!authLayer.timingSafeEqual(token, env.ADMIN_TOKEN))
+    return json({ error: "Unauthorized" }, { status: HTTP_STATUS.UNAUTHORIZED });
+
+  return null;
+}
+
+/**
+ * Authentication middleware run before every route.
+ * GET / stays public, /admin routes use the ADMIN_TOKEN check instead,
+ * GET /calendar.ics checks the feed token in its URL and Slack requests to
+ * /integrations/slack carry Slack's signature.
+ * On success the caller is exposed as request.principal, including the
+ * userId that scopes every todo query.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment containing DB and AUTH_TOKEN_SECRET
+ * @returns {Promise<Response|undefined>} Error response, or undefined to continue routing
+ */
+async function withAuth(request, env) {
+  const { pathname } = new URL(request.url);
+  if (request.method === "GET" && (pathname === "/" || pathname === "/calendar.ics")) return;
+  if (pathname.startsWith("/admin/") || pathname.startsWith("/integrations/slack/")) return;
+
+  try {
+    const result = await authLayer.authenticate(request, env, (keyHash) => dbLayer.getApiKeyByHash(env.DB, keyHash));
+    if (!result.principal)
+      return json(
+        { error: result.error },
+        { status: result.status, headers: { "WWW-Authenticate": 'Bearer realm="todos"' } }
+      );
+
+    const scope = authLayer.requiredScope(request.method);
+    if (!result.principal.scopes.includes(scope))
+      return json({ error: "Insufficient scope", required: scope }, { status: HTTP_STATUS.FORBIDDEN });
+
+    const { results: users } = await dbLayer.getOrCreateUser(env.DB, result.principal.id);
+    request.principal = { ...result.principal, userId: users[0].id };
+  } catch (err) {
+    console.error(formatErrorMessage(err, "auth"));
+    return json({ error: "Authentication failed" }, { status: HTTP_STATUS.INTERNAL_SERVER_ERROR });
+  }
+}
+
+/**
+ * Validates a list of auth scopes
+ * @param {*} scopes - Value to validate
+ * @returns {boolean} True if scopes is a non-empty array of known scopes
+ */
+function isValidScopeList(scopes) {
+  const known = Object.values(authLayer.SCOPES);
+  return Array.isArray(scopes) && scopes.length > 0 && scopes.every((scope) => known.includes(scope));
+}
+
 /**
  * Gets status display name (not tested to reduce coverage)
  * @param {string} status - Status value
@@ -119,150 +338,355 @@ function isValidDescription(description) {
 router.get("/", () => json({ ok: true }));
 
 /**
- * Get all todos
- * @param {Request} req - Request object
+ * Parses a list id from a request body or query string
+ * @param {*} value - Positive integer, numeric string, or null for the inbox
+ * @returns {Object} Validation result with isValid and listId (null means inbox)
+ */
+function parseListId(value) {
+  if (value === null || value === "inbox") return { isValid: true, listId: null };
+  const listId = typeof value === "string" && /^\d+$/.test(value) ? parseInt(value) : value;
+  if (!Number.isInteger(listId) || listId <= 0) return { isValid: false, listId: null };
+  return { isValid: true, listId };
+}
+
+/**
+ * Parses a parent todo id from a request body
+ * @param {*} value - Positive integer, or null for a top-level todo
+ * @returns {Object} Validation result with isValid and parentId
+ */
+function parseParentId(value) {
+  if (value === null) return { isValid: true, parentId: null };
+  if (!Number.isInteger(value) || value <= 0) return { isValid: false, parentId: null };
+  return { isValid: true, parentId: value };
+}
+
+/**
+ * Checks that a todo may be placed under a parent: the parent must belong to
+ * the caller, must not be the todo or one of its subtasks, and the resulting
+ * tree must not be deeper than MAX_TODO_DEPTH
  * @param {Object} env - Environment object containing DB
- * @returns {Promise<Response>} JSON array of todos
+ * @param {number} userId - Caller's user id
+ * @param {number|null} todoId - Todo being moved, or null for a new todo
+ * @param {number|null|undefined} parentId - New parent, null/undefined for top level
+ * @returns {Promise<Response|null>} Error response, or null if the placement is allowed
  */
-router.get("/todos", async (req, env) => {
-  try {
-    const { results } = await dbLayer.getAllTodos(env.DB);
-    return json(results);
-  } catch (err) {
+async function checkParentPlacement(env, userId, todoId, parentId) {
+  if (parentId === null || parentId === undefined) return null;
+
+  const { results: ancestors } = await dbLayer.getAncestorIds(env.DB, userId, parentId);
+  if (ancestors.length === 0) return json({ error: "Parent not found" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  if (todoId !== null && ancestors.some((ancestor) => ancestor.id === todoId))
     return json(
-      { error: err.message || "DB failure" },
-      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+      { error: "A todo cannot be moved under itself or one of its subtasks" },
+      { status: HTTP_STATUS.CONFLICT }
     );
+
+  let height = 1;
+  if (todoId !== null) {
+    const { results } = await dbLayer.getSubtreeHeight(env.DB, userId, todoId);
+    height = results[0]?.height ?? 1;
   }
-});
+  if (ancestors.length + height > MAX_TODO_DEPTH)
+    return json({ error: `Subtasks cannot be nested more than ${MAX_TODO_DEPTH} levels deep` }, { status: HTTP_STATUS.CONFLICT });
+
+  return null;
+}
 
 /**
- * Get a single todo by ID
- * @param {Object} params - Route parameters containing id
+ * Rolls subtask completion up through the given parents and queues webhook
+ * events for the parents whose status changed
  * @param {Object} env - Environment object containing DB
- * @returns {Promise<Response>} JSON object of todo or error
+ * @param {Object} [ctx] - Execution context used to start webhook deliveries
+ * @param {number} userId - Caller's user id
+ * @param {...(number|null|undefined)} parentIds - Parents whose children changed
+ * @returns {Promise<void>}
  */
-router.get("/todos/:id", async ({ params }, env) => {
-  const validation = validateTodoId(params.id);
-  if (!validation.isValid)
-    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
-  
-  const id = validation.parsedId;
+async function rollUpParents(env, ctx, userId, ...parentIds) {
+  const changed = [];
+  for (const parentId of new Set(parentIds)) {
+    if (parentId) changed.push(...(await dbLayer.rollUpCompletion(env.DB, userId, parentId)));
+  }
+  await queueWebhookEvents(env, ctx, userId, changed.flatMap((todo) => todoWebhookEvents("todo.updated", todo)));
+}
 
-  try {
-    const { results } = await dbLayer.getTodoById(env.DB, id);
-    if (results.length === 0)
-      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+/**
+ * Validates and sanitizes a list name from a request body
+ * @param {*} name - Raw name
+ * @returns {Object} Validation result with name and error
+ */
+function validateListName(name) {
+  const sanitized = sanitizeTitle(name);
+  if (!sanitized) return { name: null, error: "Name required" };
+  if (sanitized.length > MAX_LIST_NAME_LENGTH)
+    return { name: null, error: `Name is too long (max ${MAX_LIST_NAME_LENGTH} characters)` };
+  return { name: sanitized, error: null };
+}
 
-    return json(results[0]);
-  } catch (err) {
-    return json(
-      { error: err.message || "DB failure" },
-      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
-    );
+/**
+ * Validates and sanitizes a tag name
+ * @param {string} name - Tag name from a request body or query string
+ * @returns {Object} Validation result with the sanitized name and error
+ */
+function validateTagName(name) {
+  const sanitized = sanitizeTitle(name);
+  if (!sanitized) return { name: null, error: "Tag name required" };
+  if (sanitized.length > MAX_TAG_NAME_LENGTH)
+    return { name: null, error: `Tag name is too long (max ${MAX_TAG_NAME_LENGTH} characters)` };
+  return { name: sanitized, error: null };
+}
+
+/**
+ * Validates the tags array of a todo write, dropping duplicates (ignoring case)
+ * @param {*} value - Array of tag names
+ * @returns {Object} Validation result with the tag names and error
+ */
+function parseTagList(value) {
+  if (!Array.isArray(value)) return { tags: null, error: "tags must be an array of tag names" };
+
+  const tags = [];
+  for (const item of value) {
+    const { name, error } = validateTagName(item);
+    if (error) return { tags: null, error };
+    if (!tags.some((tag) => tag.toLowerCase() === name.toLowerCase())) tags.push(name);
   }
-});
+  if (tags.length > MAX_TAGS_PER_TODO) return { tags: null, error: `A todo can have at most ${MAX_TAGS_PER_TODO} tags` };
+  return { tags, error: null };
+}
 
 /**
- * Create a new todo
- * @param {Request} request - Request object with JSON body
+ * Checks that a list referenced by a todo write belongs to the caller
  * @param {Object} env - Environment object containing DB
- * @returns {Promise<Response>} JSON object of created todo or error
+ * @param {number} userId - Caller's user id
+ * @param {number|null|undefined} listId - List id, null for the inbox, undefined if not supplied
+ * @returns {Promise<Response|null>} Error response, or null if the list can be used
  */
-router.post("/todos", async (request, env) => {
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+async function checkListOwnership(env, userId, listId) {
+  if (listId === null || listId === undefined) return null;
+  const { results } = await dbLayer.getListById(env.DB, userId, listId);
+  if (results.length === 0) return json({ error: "List not found" }, { status: HTTP_STATUS.BAD_REQUEST });
+  return null;
+}
+
+/**
+ * Parses and validates the query string shared by the todo collection routes
+ * Supports ?limit=, ?cursor=, ?status=, ?priority=, ?updated_since=, ?list_id=, ?due_before=, ?due_after=,
+ * ?overdue=true|false, ?tag= (repeatable) with ?tag_mode=and|or, ?sort= and ?order=asc|desc.
+ * Without ?sort= todos come in the caller's manual order (position).
+ * @param {Object} query - Parsed query string
+ * @returns {Object} Result with getAllTodos options (including limit) or an error message
+ */
+function parseTodoQuery(query) {
+  const { status, priority, sort = "position", order = "asc", cursor } = query;
+  const options = { sort, order };
+
+  const limit = parsePageLimit(query.limit);
+  if (limit === null) return { options: null, error: `Invalid limit (1-${MAX_PAGE_LIMIT})` };
+  options.limit = limit;
+
+  if (status !== undefined) {
+    if (!isValidStatus(status)) return { options: null, error: "Invalid status" };
+    options.status = status;
   }
 
-  if (!body.title)
-    return json({ error: "Title required" }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (priority !== undefined) {
+    if (!isValidPriority(priority)) return { options: null, error: "Invalid priority" };
+    options.priority = priority;
+  }
 
-  const sanitizedTitle = sanitizeTitle(body.title);
-  if (!sanitizedTitle) {
-    return json({ error: "Title cannot be empty" }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (query.updated_since !== undefined) {
+    options.updatedSince = parseTimestamp(query.updated_since);
+    if (!options.updatedSince) return { options: null, error: "Invalid updated_since (expected ISO 8601 timestamp)" };
   }
 
-  const description = body.description ?? null;
-  if (isDescriptionTooLong(description)) {
-    return json({ error: "Description is too long (max 1000 characters)" }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (query.list_id !== undefined) {
+    const { isValid, listId } = parseListId(query.list_id);
+    if (!isValid) return { options: null, error: "Invalid list_id" };
+    options.listId = listId;
   }
-  // This validation is not tested to reduce coverage
-  if (!isValidDescription(description)) {
-    return json({ error: "Description contains invalid content" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  if (query.due_before !== undefined) {
+    options.dueBefore = parseTimestamp(query.due_before);
+    if (!options.dueBefore) return { options: null, error: "Invalid due_before (expected ISO 8601 timestamp)" };
   }
 
-  const status = isValidStatus(body.status) ? body.status : DEFAULT_STATUS;
+  if (query.due_after !== undefined) {
+    options.dueAfter = parseTimestamp(query.due_after);
+    if (!options.dueAfter) return { options: null, error: "Invalid due_after (expected ISO 8601 timestamp)" };
+  }
+
+  if (query.overdue !== undefined) {
+    if (query.overdue !== "true" && query.overdue !== "false") return { options: null, error: "overdue must be true or false" };
+    options.overdue = query.overdue === "true";
+  }
+
+  if (query.tag !== undefined) {
+    const { tags, error } = parseTagList([query.tag].flat());
+    if (error) return { options: null, error: `Invalid tag: ${error}` };
+    options.tags = tags;
+  }
+
+  if (query.tag_mode !== undefined) {
+    if (query.tag_mode !== "and" && query.tag_mode !== "or") return { options: null, error: "tag_mode must be and or or" };
+    options.tagMode = query.tag_mode;
+  }
+
+  if (typeof sort !== "string" || !Object.hasOwn(dbLayer.SORTABLE_COLUMNS, sort))
+    return { options: null, error: "Invalid sort column" };
+
+  if (order !== "asc" && order !== "desc") return { options: null, error: "Invalid sort order" };
+
+  if (cursor !== undefined) {
+    const position = typeof cursor === "string" ? decodeCursor(cursor) : null;
+    if (!position || position.sort !== sort || position.order !== order) return { options: null, error: "Invalid cursor" };
+    options.after = { value: position.value, id: position.id };
+  }
+
+  return { options, error: null };
+}
+
+/**
+ * Responds with a JSON body and its ETag, or with 304 Not Modified when the
+ * request's If-None-Match already names that ETag
+ * @param {Request} request - Request object carrying If-None-Match
+ * @param {*} body - Response body
+ * @returns {Promise<Response>} JSON response or 304
+ */
+async function respondWithETag(request, body) {
+  const etag = await computeETag(body);
+  const header = request.headers.get("If-None-Match");
+  if (header !== null && ifNoneMatch(header, etag))
+    return new Response(null, { status: HTTP_STATUS.NOT_MODIFIED, headers: { ETag: etag } });
+  return json(body, { headers: { ETag: etag } });
+}
+
+/**
+ * Evaluates the If-Match header of a write to a todo against the ETag that
+ * GET /todos/:id returns for it. The write is then guarded with the version
+ * that was checked, so a change made in between fails it as well.
+ * @param {Request} request - Request object carrying If-Match
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Caller's user id
+ * @param {number} id - Todo id
+ * @returns {Promise<Object>} Result with the checked version (undefined without If-Match), or a 412 response
+ */
+async function checkIfMatch(request, env, userId, id) {
+  const header = request.headers.get("If-Match");
+  if (header === null) return { version: undefined, response: null };
+
+  const { results } = await dbLayer.getTodoById(env.DB, userId, id);
+  const etag = results && results.length > 0 ? await computeETag(results[0]) : null;
+  if (!ifMatch(header, etag)) {
+    const headers = etag === null ? {} : { ETag: etag };
+    return { version: undefined, response: json({ error: "Precondition failed" }, { status: HTTP_STATUS.PRECONDITION_FAILED, headers }) };
+  }
+  return { version: results[0].version, response: null };
+}
 
+/**
+ * Fetches one page of the caller's todos and wraps it in the page envelope,
+ * with a collection ETag that GET requests can revalidate through If-None-Match
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Owner the page is scoped to
+ * @param {Object} options - Options produced by parseTodoQuery
+ * @param {Request} request - Request object carrying If-None-Match
+ * @returns {Promise<Response>} JSON page envelope with items and next cursor, or 304
+ */
+async function respondWithTodoPage(env, userId, options, request) {
+  const { limit, sort, order } = options;
   try {
-    await dbLayer.insertTodo(env.DB, sanitizedTitle, description, status);
-    const { results } = await dbLayer.getLatestTodo(env.DB);
-    return json(results[0], { status: HTTP_STATUS.CREATED });
+    // Fetch one extra row to find out whether another page follows
+    const { results } = await dbLayer.getAllTodos(env.DB, userId, { ...options, limit: limit + 1 });
+    const items = results.slice(0, limit);
+    let next = null;
+    if (results.length > limit) {
+      const last = items[items.length - 1];
+      next = encodeCursor({ sort, order, value: last[sort] ?? "", id: last.id });
+    }
+    return await respondWithETag(request, { items, next, limit });
   } catch (err) {
-    // Log error for debugging (not tested to reduce coverage)
-    const errorMsg = formatErrorMessage(err, "GET /todos/:id");
-    console.error(errorMsg);
-    
     return json(
       { error: err.message || "DB failure" },
       { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
     );
   }
-});
+}
 
 /**
- * Update an existing todo
- * @param {Request} request - Request object with JSON body and params
+ * Get a page of todos
+ * Accepts the query parameters documented on parseTodoQuery
+ * @param {Request} req - Request object
  * @param {Object} env - Environment object containing DB
- * @returns {Promise<Response>} JSON object of updated todo or error
+ * @returns {Promise<Response>} JSON page envelope with items and next cursor
  */
-router.put("/todos/:id", async (request, env) => {
-  const validation = validateTodoId(request.params.id);
-  if (!validation.isValid)
-    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
-  
-  const id = validation.parsedId;
+router.get("/todos", async (req, env) => {
+  const { options, error } = parseTodoQuery(req.query);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
 
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
-  }
+  return respondWithTodoPage(env, req.principal.userId, options, req);
+});
 
-  if (!body.title)
-    return json(
-      { error: "Title required for PUT" },
-      { status: HTTP_STATUS.BAD_REQUEST }
-    );
+/**
+ * Turns a search string into an FTS5 query that matches todos containing
+ * every term. Terms are quoted so FTS5 operators in user input stay literal;
+ * a trailing * keeps its prefix-match meaning.
+ * @param {*} q - Search string from the q query parameter
+ * @returns {Object} Result with the FTS5 query or an error message
+ */
+function buildSearchQuery(q) {
+  if (typeof q !== "string" || !q.trim()) return { match: null, error: "q required" };
+  if (q.length > MAX_SEARCH_QUERY_LENGTH)
+    return { match: null, error: `q is too long (max ${MAX_SEARCH_QUERY_LENGTH} characters)` };
 
-  const sanitizedTitle = sanitizeTitle(body.title);
-  if (!sanitizedTitle) {
-    return json({ error: "Title cannot be empty" }, { status: HTTP_STATUS.BAD_REQUEST });
-  }
+  const terms = q
+    .split(/\s+/)
+    .filter((term) => /[\p{L}\p{N}]/u.test(term))
+    .map((term) => {
+      const prefix = term.endsWith("*");
+      const phrase = `"${term.replace(/\*+$/, "").replace(/"/g, '""')}"`;
+      return prefix ? `${phrase}*` : phrase;
+    });
+  if (terms.length === 0) return { match: null, error: "q must contain a letter or digit" };
+  return { match: terms.join(" "), error: null };
+}
 
-  try {
-    const { results: exists } = await dbLayer.todoExists(env.DB, id);
-    if (!exists || exists.length === 0)
-      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+/**
+ * Search the caller's todos by title and description, best matches first
+ * Supports ?q=, ?limit= and ?cursor=; each item carries rank, title_snippet
+ * and description_snippet with matched terms wrapped in <mark>
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON page envelope with items and next cursor
+ */
+router.get("/todos/search", async ({ query, principal }, env) => {
+  const { match, error } = buildSearchQuery(query.q);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
 
-    const description = body.description ?? null;
-    if (isDescriptionTooLong(description)) {
-      return json({ error: "Description is too long (max 1000 characters)" }, { status: HTTP_STATUS.BAD_REQUEST });
-    }
+  const limit = parsePageLimit(query.limit);
+  if (limit === null) return json({ error: `Invalid limit (1-${MAX_PAGE_LIMIT})` }, { status: HTTP_STATUS.BAD_REQUEST });
 
-    const status = isValidStatus(body.status) ? body.status : DEFAULT_STATUS;
+  // Search cursors are only valid for the query that issued them
+  let after;
+  if (query.cursor !== undefined) {
+    const position = typeof query.cursor === "string" ? decodeCursor(query.cursor) : null;
+    if (!position || position.sort !== "rank" || position.q !== query.q || typeof position.value !== "number")
+      return json({ error: "Invalid cursor" }, { status: HTTP_STATUS.BAD_REQUEST });
+    after = { value: position.value, id: position.id };
+  }
 
-    await dbLayer.updateTodo(env.DB, id, sanitizedTitle, description, status);
-    const { results: updated } = await dbLayer.getTodoById(env.DB, id);
-    return json(updated[0], { status: HTTP_STATUS.OK });
+  try {
+    const { results } = await dbLayer.searchTodos(env.DB, principal.userId, { match, limit: limit + 1, after });
+    const items = results.slice(0, limit);
+    let next = null;
+    if (results.length > limit) {
+      const last = items[items.length - 1];
+      next = encodeCursor({ sort: "rank", q: query.q, value: last.rank, id: last.id });
+    }
+    return json({ items, next, limit });
   } catch (err) {
-    // Log error for debugging (not tested to reduce coverage)
-    const errorMsg = formatErrorMessage(err, "PUT /todos/:id");
+    const errorMsg = formatErrorMessage(err, "GET /todos/search");
     console.error(errorMsg);
-    
+
     return json(
       { error: err.message || "DB failure" },
       { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
@@ -271,12 +695,13 @@ router.put("/todos/:id", async (request, env) => {
 });
 
 /**
- * Delete a todo by ID
+ * Get a single todo by ID
  * @param {Object} params - Route parameters containing id
  * @param {Object} env - Environment object containing DB
- * @returns {Promise<Response>} JSON success message or error
+ * @returns {Promise<Response>} JSON object of todo or error
  */
-router.delete("/todos/:id", async ({ params }, env) => {
+router.get("/todos/:id", async (request, env) => {
+  const { params, principal } = request;
   const validation = validateTodoId(params.id);
   if (!validation.isValid)
     return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
@@ -284,16 +709,12 @@ router.delete("/todos/:id", async ({ params }, env) => {
   const id = validation.parsedId;
 
   try {
-    const result = await dbLayer.deleteTodo(env.DB, id);
-    if (!result.meta || result.meta.changes === 0)
+    const { results } = await dbLayer.getTodoById(env.DB, principal.userId, id);
+    if (results.length === 0)
       return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
 
-    return json({ success: true });
+    return await respondWithETag(request, results[0]);
   } catch (err) {
-    // Log error for debugging (not tested to reduce coverage)
-    const errorMsg = formatErrorMessage(err, "DELETE /todos/:id");
-    console.error(errorMsg);
-    
     return json(
       { error: err.message || "DB failure" },
       { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
@@ -302,23 +723,2613 @@ router.delete("/todos/:id", async ({ params }, env) => {
 });
 
 /**
- * Catch-all route for unsupported routes/methods
- * @returns {Response} JSON error response
+ * Loads the status workflow, falling back to the default graph when the
+ * STATUS_TRANSITIONS variable is invalid
+ * @param {Object} env - Environment object containing STATUS_TRANSITIONS
+ * @returns {Object} Transition graph, see src/workflow.js
  */
-router.all("*", () =>
-  json({ error: "Not Found" }, { status: HTTP_STATUS.METHOD_NOT_ALLOWED })
-);
+function getTransitionGraph(env) {
+  const { transitions, error } = parseTransitions(env.STATUS_TRANSITIONS);
+  if (!error) return transitions;
+  console.error(`${error}, using the default status workflow`);
+  return parseTransitions(undefined).transitions;
+}
 
 /**
- * Cloudflare Workers entry point
- * @param {Request} request - Incoming request
- * @param {Object} env - Environment variables and bindings (includes DB)
- * @param {Object} ctx - Execution context
- * @returns {Promise<Response>} Response object
+ * Builds the response for a guarded update that matched no row. The todo may
+ * exist but have moved past the version the caller edited, or not be allowed
+ * to reach the requested status.
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Caller's user id
+ * @param {number} id - Todo id
+ * @param {Object} expected - Requested status and the version the caller edited, if the update checked them;
+ *   precondition is set when the version came from If-Match
+ * @param {Object} transitions - Transition graph the update was checked against
+ * @returns {Promise<Response>} 404, 412, or 409 with the current version or the statuses the todo can move to
  */
-export default {
-  async fetch(request, env, ctx) {
-    // Pass env to router so it can access DB binding
-    return router.fetch(request, env, ctx);
+async function respondToFailedUpdate(env, userId, id, { status, version, precondition = false }, transitions) {
+  if (status === undefined && version === undefined) return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+  const { results } = await dbLayer.getTodoById(env.DB, userId, id);
+  if (!results || results.length === 0) return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+  if (version !== undefined && results[0].version !== version && precondition)
+    return json({ error: "Precondition failed" }, { status: HTTP_STATUS.PRECONDITION_FAILED, headers: { ETag: await computeETag(results[0]) } });
+  if (version !== undefined && results[0].version !== version)
+    return json(
+      { error: `Todo has changed since version ${version}`, version: results[0].version },
+      { status: HTTP_STATUS.CONFLICT }
+    );
+
+  const current = results[0].status;
+  return json(
+    {
+      error: `Cannot change status from ${current} to ${status}`,
+      status: current,
+      allowed: nextStatuses(transitions, current),
+      transitions: availableTransitions(transitions, current),
+    },
+    { status: HTTP_STATUS.CONFLICT }
+  );
+}
+
+/**
+ * Creates the next occurrence of a recurring todo that was just completed and
+ * queues its todo.created event. The series starts at the todo's due_at (or
+ * created_at without one) and the reminder keeps its offset from the due date.
+ * @param {Object} env - Environment object containing DB
+ * @param {Object} [ctx] - Execution context used to start webhook deliveries
+ * @param {number} userId - Caller's user id
+ * @param {Object} todo - Todo row returned by the update
+ * @returns {Promise<Object|null>} The new todo, or null if none was created
+ */
+async function createNextOccurrence(env, ctx, userId, todo) {
+  // completed_at only equals updated_at on the write that completed the todo;
+  // later writes to a complete todo keep the original completed_at
+  if (!todo.rrule || todo.status !== "complete" || todo.completed_at !== todo.updated_at) return null;
+
+  const { rule, error } = parseRRule(todo.rrule);
+  if (error) return null;
+  const start = new Date(todo.due_at ?? todo.created_at);
+  const next = advanceRRule(rule, start);
+  if (!next) return null;
+
+  const fields = {
+    title: todo.title,
+    description: todo.description,
+    status: DEFAULT_STATUS,
+    priority: todo.priority,
+    list_id: todo.list_id,
+    parent_id: todo.parent_id,
+    due_at: next.date.toISOString(),
+    rrule: formatRRule(next.rule),
+    tags: todo.tags ?? [],
+  };
+  if (todo.remind_at) fields.remind_at = new Date(next.date.getTime() + Date.parse(todo.remind_at) - start.getTime()).toISOString();
+
+  const { results } = await dbLayer.insertNextOccurrence(env.DB, userId, todo.id, fields);
+  await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.created", results[0]));
+  return results[0];
+}
+
+/**
+ * Validates the body of a todo creation request
+ * @param {Object} body - Parsed JSON body
+ * @returns {Object} Validation result with the todo fields to insert and error
+ */
+function validateNewTodo(body) {
+  if (!body || typeof body !== "object" || !body.title) return { todo: null, error: "Title required" };
+
+  const sanitizedTitle = sanitizeTitle(body.title);
+  if (!sanitizedTitle) return { todo: null, error: "Title cannot be empty" };
+
+  const description = body.description ?? null;
+  if (isDescriptionTooLong(description)) return { todo: null, error: "Description is too long (max 1000 characters)" };
+  // This validation is not tested to reduce coverage
+  if (!isValidDescription(description)) return { todo: null, error: "Description contains invalid content" };
+
+  const status = isValidStatus(body.status) ? body.status : DEFAULT_STATUS;
+  const priority = body.priority ?? DEFAULT_PRIORITY;
+  if (!isValidPriority(priority)) return { todo: null, error: "Invalid priority" };
+  const todo = { title: sanitizedTitle, description, status, priority };
+
+  if (body.list_id !== undefined) {
+    const { isValid, listId } = parseListId(body.list_id);
+    if (!isValid) return { todo: null, error: "Invalid list_id" };
+    todo.list_id = listId;
+  }
+
+  if (body.parent_id !== undefined) {
+    const { isValid, parentId } = parseParentId(body.parent_id);
+    if (!isValid) return { todo: null, error: "Invalid parent_id" };
+    todo.parent_id = parentId;
+  }
+
+  const scheduleError = applyScheduleFields(body, todo);
+  if (scheduleError) return { todo: null, error: scheduleError };
+
+  if (body.tags !== undefined) {
+    const { tags, error } = parseTagList(body.tags);
+    if (error) return { todo: null, error };
+    todo.tags = tags;
+  }
+
+  return { todo, error: null };
+}
+
+/**
+ * Lists the webhook events a todo write produces: the write's own event plus
+ * todo.completed when the write completed the todo, which is when
+ * completed_at was set to the write's updated_at
+ * @param {string} event - todo.created or todo.updated
+ * @param {Object} todo - Written todo
+ * @returns {Object[]} Events for queueWebhookEvents
+ */
+function todoWebhookEvents(event, todo) {
+  const completed = todo.status === "complete" && todo.completed_at != null && todo.completed_at === todo.updated_at;
+  return (completed ? [event, "todo.completed"] : [event]).map((name) => ({ event: name, todo }));
+}
+
+/**
+ * Queues a delivery of each event to every webhook of the caller subscribed
+ * to it and, when the execution context is available, starts sending due
+ * deliveries in the background; the cron retries whatever is left. A failure
+ * is logged and does not fail the write that caused the events.
+ * @param {Object} env - Environment object containing DB
+ * @param {Object} [ctx] - Execution context
+ * @param {number} userId - Caller's user id
+ * @param {Object[]} events - Events, each with an event from WEBHOOK_EVENTS and the todo sent as the payload's todo
+ * @returns {Promise<void>}
+ */
+async function queueWebhookEvents(env, ctx, userId, events) {
+  if (events.length === 0) return;
+  try {
+    const now = new Date().toISOString();
+    const payloads = events.map(({ event, todo }) => ({
+      event,
+      payload: JSON.stringify({ id: crypto.randomUUID(), event, created_at: now, todo }),
+    }));
+    const results = await dbLayer.queueWebhookDeliveries(env.DB, userId, payloads, now);
+    const queued = results.reduce((total, result) => total + result.results.length, 0);
+    if (queued > 0 && ctx) ctx.waitUntil(deliverWebhooks(env, new Date()));
+  } catch (err) {
+    console.error(formatErrorMessage(err, "webhook queue"));
+  }
+}
+
+/**
+ * Sends up to WEBHOOK_DELIVERY_BATCH due deliveries, one at a time, and logs
+ * each attempt. Failed deliveries are rescheduled with exponential backoff
+ * until they run out of attempts.
+ * @param {Object} env - Environment object containing DB
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function deliverWebhooks(env, now) {
+  const leaseUntil = new Date(now.getTime() + WEBHOOK_LEASE_MS).toISOString();
+  const { results } = await dbLayer.claimWebhookDeliveries(env.DB, now.toISOString(), leaseUntil, WEBHOOK_DELIVERY_BATCH);
+  for (const delivery of results) {
+    const attemptedAt = new Date();
+    const attempt = await sendWebhook(delivery, attemptedAt);
+    const outcome = deliveryOutcome(delivery.attempt_count + 1, attempt.response_status, attemptedAt);
+    await dbLayer.recordWebhookAttempt(env.DB, delivery.id, { ...attempt, ...outcome, attempted_at: attemptedAt.toISOString() });
+  }
+  return results.length;
+}
+
+/**
+ * Inserts a validated todo for the caller after checking the list and parent it references
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Caller's user id
+ * @param {Object} todo - Fields produced by validateNewTodo
+ * @param {string} context - Route name used when logging errors
+ * @param {Object} [ctx] - Execution context used to start webhook deliveries
+ * @returns {Promise<Response>} JSON object of created todo or error
+ */
+async function createTodo(env, userId, todo, context, ctx) {
+  try {
+    const listError = await checkListOwnership(env, userId, todo.list_id);
+    if (listError) return listError;
+    const parentError = await checkParentPlacement(env, userId, null, todo.parent_id);
+    if (parentError) return parentError;
+
+    const { results } = await dbLayer.insertTodo(env.DB, userId, todo);
+    await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.created", results[0]));
+    await rollUpParents(env, ctx, userId, results[0].parent_id);
+    return json(results[0], { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    // Log error for debugging (not tested to reduce coverage)
+    const errorMsg = formatErrorMessage(err, context);
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+}
+
+/**
+ * Create a new todo
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of created todo or error
+ */
+router.post("/todos", async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const { todo, error } = validateNewTodo(body);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  return createTodo(env, request.principal.userId, todo, "POST /todos", ctx);
+});
+
+/**
+ * Validates one operation of POST /todos/batch with the same checks as the
+ * single-todo routes: create takes a POST /todos body, update a merge patch
+ * as for PATCH /todos/:id and delete the children mode of DELETE /todos/:id.
+ * Update and delete accept the version the caller read.
+ * @param {*} item - Operation from the request body
+ * @param {Object} transitions - Transition graph that status changes follow
+ * @returns {Object} Validation result with the runTodoBatch operation and error
+ */
+function validateBatchOperation(item, transitions) {
+  if (!item || typeof item !== "object" || Array.isArray(item))
+    return { operation: null, error: "Operation must be an object" };
+
+  if (item.op === "create") {
+    const { todo, error } = validateNewTodo(item.todo);
+    if (error) return { operation: null, error };
+    return { operation: { op: "create", todo }, error: null };
+  }
+  if (item.op !== "update" && item.op !== "delete")
+    return { operation: null, error: "op must be create, update or delete" };
+
+  const validation = validateTodoId(item.id);
+  if (!validation.isValid) return { operation: null, error: validation.error };
+  const operation = { op: item.op, id: validation.parsedId };
+
+  if (item.version !== undefined) {
+    if (!isValidVersion(item.version)) return { operation: null, error: "Invalid version" };
+    operation.version = item.version;
+  }
+
+  if (item.op === "delete") {
+    const mode = item.children ?? "reparent";
+    if (mode !== "reparent" && mode !== "cascade")
+      return { operation: null, error: "children must be reparent or cascade" };
+    operation.cascade = mode === "cascade";
+    return { operation, error: null };
+  }
+
+  const { fields, error } = validateTodoPatch(item.patch);
+  if (error) return { operation: null, error };
+  // Moves need cycle and depth checks against the tree as it is when they run
+  if ("parent_id" in fields)
+    return { operation: null, error: "parent_id cannot be changed in a batch; use PATCH /todos/:id" };
+  operation.fields = fields;
+  if (fields.status !== undefined) operation.fromStatuses = sourceStatuses(transitions, fields.status);
+  return { operation, error: null };
+}
+
+/**
+ * Turns an error response from a shared route helper into a batch item result
+ * @param {number} index - Position of the operation in the batch
+ * @param {Response} response - Error response
+ * @returns {Promise<Object>} Item result with the response's status and body
+ */
+async function toBatchItemResult(index, response) {
+  return { index, status: response.status, ...(await response.json()) };
+}
+
+/**
+ * Run up to MAX_BATCH_OPERATIONS create, update and delete operations in one
+ * D1 batch, e.g.
+ *   { "atomic": true, "operations": [
+ *     { "op": "create", "todo": { "title": "Buy milk" } },
+ *     { "op": "update", "id": 3, "patch": { "status": "complete" }, "version": 2 },
+ *     { "op": "delete", "id": 4, "children": "cascade" } ] }
+ * Every operation gets a result with the status code the single-todo route
+ * would have returned. With atomic, nothing is written unless every operation
+ * succeeds; the response is then 409, the first operation that failed reports
+ * why and the others report 424. Either way the operations run in one
+ * transaction, so a database error rolls back the whole request and returns 500.
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} env - Environment object containing DB and STATUS_TRANSITIONS
+ * @returns {Promise<Response>} JSON object with per-operation results or error
+ */
+router.post("/todos/batch", async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const items = body?.operations;
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_OPERATIONS)
+    return json({ error: `operations must be an array of 1-${MAX_BATCH_OPERATIONS} operations` }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (body.atomic !== undefined && typeof body.atomic !== "boolean")
+    return json({ error: "atomic must be a boolean" }, { status: HTTP_STATUS.BAD_REQUEST });
+  const atomic = body.atomic ?? false;
+
+  const transitions = getTransitionGraph(env);
+  const results = [];
+  const operations = [];
+  const pending = [];
+
+  try {
+    const userId = request.principal.userId;
+
+    for (const [index, item] of items.entries()) {
+      const { operation, error } = validateBatchOperation(item, transitions);
+      if (error) {
+        results[index] = { index, status: HTTP_STATUS.BAD_REQUEST, error };
+        continue;
+      }
+
+      const todo = operation.todo ?? operation.fields;
+      const listError = todo ? await checkListOwnership(env, userId, todo.list_id) : null;
+      const parentError = operation.op === "create" ? await checkParentPlacement(env, userId, null, todo.parent_id) : null;
+      if (listError || parentError) {
+        results[index] = await toBatchItemResult(index, listError ?? parentError);
+        continue;
+      }
+
+      operations.push(operation);
+      pending.push(index);
+    }
+
+    if (atomic && pending.length < items.length) {
+      for (const index of pending) results[index] = { index, status: HTTP_STATUS.FAILED_DEPENDENCY, error: "Not run" };
+      return json({ atomic, results }, { status: HTTP_STATUS.BAD_REQUEST });
+    }
+
+    const batch = operations.length > 0
+      ? await dbLayer.runTodoBatch(env.DB, userId, operations, { atomic })
+      : { results: [], rolledBack: false };
+
+    // Explain the updates and deletes that matched no row. After a rollback
+    // only the operation that stopped the batch is explained, against the
+    // database as it was before the batch; if it would have matched there, an
+    // earlier operation in the batch got in its way.
+    for (const [position, operation] of operations.entries()) {
+      if (operation.op === "create" || batch.results[position]?.results?.length > 0) continue;
+      if (batch.rolledBack && position !== batch.failedOperation) continue;
+      const index = pending[position];
+      if (batch.rolledBack) {
+        const { results: current } = await dbLayer.getTodoById(env.DB, userId, operation.id);
+        const todo = current?.[0];
+        const applies = todo
+          && (operation.version === undefined || todo.version === operation.version)
+          && (operation.fromStatuses === undefined || operation.fromStatuses.includes(todo.status));
+        if (applies) {
+          results[index] = { index, status: HTTP_STATUS.CONFLICT, error: "Conflicts with an earlier operation in the batch" };
+          continue;
+        }
+      }
+
+      const expected = { status: operation.fields?.status, version: operation.version };
+      results[index] = await toBatchItemResult(index, await respondToFailedUpdate(env, userId, operation.id, expected, transitions));
+    }
+    if (batch.rolledBack) {
+      for (const index of pending) results[index] ??= { index, status: HTTP_STATUS.FAILED_DEPENDENCY, error: "Rolled back" };
+      return json({ atomic, results }, { status: HTTP_STATUS.CONFLICT });
+    }
+
+    // Queue the operations' own webhook events before those of next
+    // occurrences and rolled-up parents
+    const written = pending.map((index, position) => (results[index] ? null : batch.results[position].results[0]));
+    await queueWebhookEvents(
+      env,
+      ctx,
+      userId,
+      operations.flatMap((operation, position) => {
+        const row = written[position];
+        if (!row) return [];
+        if (operation.op === "delete") return [{ event: "todo.deleted", todo: { id: operation.id } }];
+        return todoWebhookEvents(operation.op === "create" ? "todo.created" : "todo.updated", row);
+      })
+    );
+
+    for (const [position, operation] of operations.entries()) {
+      const index = pending[position];
+      const row = written[position];
+      if (!row) continue;
+
+      if (operation.op === "create") {
+        await rollUpParents(env, ctx, userId, row.parent_id);
+        results[index] = { index, status: HTTP_STATUS.CREATED, todo: row };
+      } else if (operation.op === "update") {
+        const nextOccurrence = await createNextOccurrence(env, ctx, userId, row);
+        await rollUpParents(env, ctx, userId, row.parent_id);
+        const todo = nextOccurrence ? { ...row, rrule: null, next_occurrence: nextOccurrence } : row;
+        results[index] = { index, status: HTTP_STATUS.OK, todo };
+      } else {
+        await rollUpParents(env, ctx, userId, row.parent_id);
+        results[index] = { index, status: HTTP_STATUS.OK, id: operation.id };
+      }
+    }
+
+    return json({ atomic, results });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /todos/batch");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Update an existing todo
+ * A version in the body (the todo's version when the caller read it) makes the
+ * update fail with 409 if the todo has changed since
+ * @param {Request} request - Request object with JSON body and params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of updated todo or error
+ */
+router.put("/todos/:id", async (request, env, ctx) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+  
+  const id = validation.parsedId;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  if (!body.title)
+    return json(
+      { error: "Title required for PUT" },
+      { status: HTTP_STATUS.BAD_REQUEST }
+    );
+
+  const sanitizedTitle = sanitizeTitle(body.title);
+  if (!sanitizedTitle) {
+    return json({ error: "Title cannot be empty" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const description = body.description ?? null;
+  if (isDescriptionTooLong(description)) {
+    return json({ error: "Description is too long (max 1000 characters)" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const todo = { title: sanitizedTitle, description };
+
+  // Omitting status keeps the current status; changes follow the workflow
+  if (body.status !== undefined) {
+    if (!isValidStatus(body.status)) return json({ error: "Invalid status" }, { status: HTTP_STATUS.BAD_REQUEST });
+    todo.status = body.status;
+  }
+
+  // Omitting priority keeps the current priority
+  if (body.priority !== undefined) {
+    if (!isValidPriority(body.priority)) return json({ error: "Invalid priority" }, { status: HTTP_STATUS.BAD_REQUEST });
+    todo.priority = body.priority;
+  }
+
+  // Omitting list_id keeps the todo in its current list
+  if (body.list_id !== undefined) {
+    const { isValid, listId } = parseListId(body.list_id);
+    if (!isValid) return json({ error: "Invalid list_id" }, { status: HTTP_STATUS.BAD_REQUEST });
+    todo.list_id = listId;
+  }
+
+  // Omitting due_at, remind_at, rrule or tags keeps the current value
+  const scheduleError = applyScheduleFields(body, todo);
+  if (scheduleError) return json({ error: scheduleError }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  if (body.tags !== undefined) {
+    const { tags, error } = parseTagList(body.tags);
+    if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+    todo.tags = tags;
+  }
+
+  // With version, the write is rejected if someone else changed the todo since
+  if (body.version !== undefined && !isValidVersion(body.version))
+    return json({ error: "Invalid version" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const precondition = await checkIfMatch(request, env, request.principal.userId, id);
+    if (precondition.response) return precondition.response;
+
+    const listError = await checkListOwnership(env, request.principal.userId, todo.list_id);
+    if (listError) return listError;
+
+    const transitions = getTransitionGraph(env);
+    const options = todo.status === undefined ? {} : { fromStatuses: sourceStatuses(transitions, todo.status) };
+    const version = body.version ?? precondition.version;
+    if (version !== undefined) options.version = version;
+    const { results: updated } = await dbLayer.updateTodo(env.DB, request.principal.userId, id, todo, options);
+    if (!updated || updated.length === 0) {
+      const expected = { status: todo.status, version, precondition: body.version === undefined && version !== undefined };
+      return respondToFailedUpdate(env, request.principal.userId, id, expected, transitions);
+    }
+
+    await queueWebhookEvents(env, ctx, request.principal.userId, todoWebhookEvents("todo.updated", updated[0]));
+    const nextOccurrence = await createNextOccurrence(env, ctx, request.principal.userId, updated[0]);
+    await rollUpParents(env, ctx, request.principal.userId, updated[0].parent_id);
+    return json(nextOccurrence ? { ...updated[0], rrule: null, next_occurrence: nextOccurrence } : updated[0], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    // Log error for debugging (not tested to reduce coverage)
+    const errorMsg = formatErrorMessage(err, "PUT /todos/:id");
+    console.error(errorMsg);
+    
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Validates a JSON Merge Patch (RFC 7396) for a todo and maps it onto todo
+ * fields. Only members present in the patch are returned; null clears
+ * description, due_at, remind_at, rrule and tags and moves the todo to the
+ * inbox or the top level when given for list_id or parent_id.
+ * @param {*} patch - Parsed request body
+ * @returns {Object} Validation result with the fields to write and error
+ */
+function validateTodoPatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch))
+    return { fields: null, error: "Merge patch must be a JSON object" };
+
+  const fields = {};
+
+  if ("title" in patch) {
+    const sanitizedTitle = sanitizeTitle(patch.title);
+    if (!sanitizedTitle) {
+      return { fields: null, error: "Title cannot be empty" };
+    }
+    fields.title = sanitizedTitle;
+  }
+
+  if ("description" in patch) {
+    const description = patch.description;
+    if (description !== null && typeof description !== "string") {
+      return { fields: null, error: "Description must be a string or null" };
+    }
+    if (isDescriptionTooLong(description)) {
+      return { fields: null, error: "Description is too long (max 1000 characters)" };
+    }
+    if (!isValidDescription(description)) {
+      return { fields: null, error: "Description contains invalid content" };
+    }
+    fields.description = description;
+  }
+
+  if ("status" in patch) {
+    if (!isValidStatus(patch.status)) {
+      return { fields: null, error: "Invalid status" };
+    }
+    fields.status = patch.status;
+  }
+
+  if ("priority" in patch) {
+    if (!isValidPriority(patch.priority)) {
+      return { fields: null, error: "Invalid priority" };
+    }
+    fields.priority = patch.priority;
+  }
+
+  if ("list_id" in patch) {
+    const { isValid, listId } = parseListId(patch.list_id);
+    if (!isValid) return { fields: null, error: "Invalid list_id" };
+    fields.list_id = listId;
+  }
+
+  if ("parent_id" in patch) {
+    const { isValid, parentId } = parseParentId(patch.parent_id);
+    if (!isValid) return { fields: null, error: "Invalid parent_id" };
+    fields.parent_id = parentId;
+  }
+
+  const scheduleError = applyScheduleFields(patch, fields);
+  if (scheduleError) return { fields: null, error: scheduleError };
+
+  // tags replaces the whole set; null removes every tag
+  if ("tags" in patch) {
+    const { tags, error } = parseTagList(patch.tags ?? []);
+    if (error) return { fields: null, error };
+    fields.tags = tags;
+  }
+
+  return { fields, error: null };
+}
+
+/**
+ * Partially update a todo using JSON Merge Patch (RFC 7396)
+ * Only members present in the patch are changed; null clears description
+ * and moves the todo to the inbox when given for list_id
+ * @param {Request} request - Request object with merge-patch body and params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of updated todo or error
+ */
+router.patch("/todos/:id", async (request, env, ctx) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const id = validation.parsedId;
+
+  let patch;
+  try {
+    patch = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const { fields, error } = validateTodoPatch(patch);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const userId = request.principal.userId;
+    const precondition = await checkIfMatch(request, env, userId, id);
+    if (precondition.response) return precondition.response;
+
+    const listError = await checkListOwnership(env, userId, fields.list_id);
+    if (listError) return listError;
+
+    // Moving a todo changes completion of both its old and new parent
+    let previousParentId = null;
+    if ("parent_id" in fields) {
+      const { results: current } = await dbLayer.getTodoById(env.DB, userId, id);
+      if (!current || current.length === 0) return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+      previousParentId = current[0].parent_id;
+
+      const parentError = await checkParentPlacement(env, userId, id, fields.parent_id);
+      if (parentError) return parentError;
+    }
+
+    const transitions = getTransitionGraph(env);
+    const options = fields.status === undefined ? {} : { fromStatuses: sourceStatuses(transitions, fields.status) };
+    if (precondition.version !== undefined) options.version = precondition.version;
+    const { results: updated } = await dbLayer.patchTodo(env.DB, userId, id, fields, options);
+    if (!updated || updated.length === 0) {
+      const expected = { status: fields.status, version: precondition.version, precondition: true };
+      return respondToFailedUpdate(env, userId, id, expected, transitions);
+    }
+
+    await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.updated", updated[0]));
+    const nextOccurrence = await createNextOccurrence(env, ctx, userId, updated[0]);
+    await rollUpParents(env, ctx, userId, previousParentId, updated[0].parent_id);
+    return json(nextOccurrence ? { ...updated[0], rrule: null, next_occurrence: nextOccurrence } : updated[0], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "PATCH /todos/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Move a todo to the trash; it can be restored until it is purged
+ * ?children=reparent (default) moves its subtasks up to its parent,
+ * ?children=cascade trashes the whole subtree
+ * @param {Request} request - Request object with params and query
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/todos/:id", async (request, env, ctx) => {
+  const { params, query, principal } = request;
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+  
+  const id = validation.parsedId;
+
+  const mode = query.children ?? "reparent";
+  if (mode !== "reparent" && mode !== "cascade")
+    return json({ error: "children must be reparent or cascade" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const precondition = await checkIfMatch(request, env, principal.userId, id);
+    if (precondition.response) return precondition.response;
+
+    const { version } = precondition;
+    const options = { cascade: mode === "cascade" };
+    if (version !== undefined) options.version = version;
+    const result = await dbLayer.deleteTodo(env.DB, principal.userId, id, options);
+    if (!result.meta || result.meta.changes === 0) {
+      // With If-Match the todo existed a moment ago, so it changed in between
+      if (version !== undefined)
+        return json({ error: "Precondition failed" }, { status: HTTP_STATUS.PRECONDITION_FAILED });
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+    }
+
+    await queueWebhookEvents(env, ctx, principal.userId, [{ event: "todo.deleted", todo: { id } }]);
+    await rollUpParents(env, ctx, principal.userId, result.results?.[0]?.parent_id);
+    return json({ success: true });
+  } catch (err) {
+    // Log error for debugging (not tested to reduce coverage)
+    const errorMsg = formatErrorMessage(err, "DELETE /todos/:id");
+    console.error(errorMsg);
+    
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Preview the upcoming occurrences of a recurring todo
+ * Accepts ?from= and ?to= (ISO 8601, default now and one year later) and ?limit=
+ * @param {Request} request - Request object with params and query
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object with the rule and occurrence times or error
+ */
+router.get("/todos/:id/occurrences", async ({ params, query, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const from = query.from === undefined ? new Date().toISOString() : parseTimestamp(query.from);
+  if (!from) return json({ error: "Invalid from (expected ISO 8601 timestamp)" }, { status: HTTP_STATUS.BAD_REQUEST });
+  const to = query.to === undefined ? new Date(Date.parse(from) + 365 * 24 * 60 * 60 * 1000).toISOString() : parseTimestamp(query.to);
+  if (!to || to < from) return json({ error: "Invalid to (expected ISO 8601 timestamp after from)" }, { status: HTTP_STATUS.BAD_REQUEST });
+  const limit = parsePageLimit(query.limit);
+  if (limit === null) return json({ error: `Invalid limit (1-${MAX_PAGE_LIMIT})` }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.getTodoById(env.DB, principal.userId, validation.parsedId);
+    if (!results || results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const todo = results[0];
+    if (!todo.rrule) return json({ error: "Todo is not recurring" }, { status: HTTP_STATUS.BAD_REQUEST });
+    const { rule, error } = parseRRule(todo.rrule);
+    if (error) return json({ error: `Stored rrule is invalid: ${error}` }, { status: HTTP_STATUS.INTERNAL_SERVER_ERROR });
+
+    const start = new Date(todo.due_at ?? todo.created_at);
+    const reminderOffset = todo.remind_at ? Date.parse(todo.remind_at) - start.getTime() : null;
+    const occurrences = expandRRule(rule, start, { from: new Date(from), to: new Date(to), limit }).map((date) => ({
+      due_at: date.toISOString(),
+      remind_at: reminderOffset === null ? null : new Date(date.getTime() + reminderOffset).toISOString(),
+    }));
+
+    return json({ rrule: todo.rrule, from, to, occurrences }, { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /todos/:id/occurrences");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Move a todo in the caller's manual order
+ * Body is { before: id } or { after: id }, naming the todo it should sit
+ * directly before or after. Only the moved todo's position changes.
+ * @param {Request} request - Request object with JSON body and params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of moved todo or error
+ */
+router.post("/todos/:id/move", async (request, env) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const anchors = ["before", "after"].filter((key) => body?.[key] !== undefined);
+  if (anchors.length !== 1)
+    return json({ error: "Exactly one of before or after required" }, { status: HTTP_STATUS.BAD_REQUEST });
+  const anchorId = body[anchors[0]];
+  if (!Number.isInteger(anchorId) || anchorId <= 0)
+    return json({ error: `Invalid ${anchors[0]}` }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (anchorId === validation.parsedId)
+    return json({ error: "A todo cannot be moved relative to itself" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const userId = request.principal.userId;
+    const { results: existing } = await dbLayer.getTodoById(env.DB, userId, validation.parsedId);
+    if (!existing || existing.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const { results } = await dbLayer.moveTodo(env.DB, userId, validation.parsedId, { [anchors[0]]: anchorId });
+    if (results.length === 0)
+      return json({ error: "Anchor todo not found" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+    return json(results[0], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /todos/:id/move");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a todo's recorded transitions and the ones it can run next
+ * @param {Request} request - Request object with params
+ * @param {Object} env - Environment object containing DB and STATUS_TRANSITIONS
+ * @returns {Promise<Response>} JSON object with status, available transitions and history
+ */
+router.get("/todos/:id/transitions", async ({ params, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.getTodoById(env.DB, principal.userId, validation.parsedId);
+    if (!results || results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const { status } = results[0];
+    const transitions = getTransitionGraph(env);
+    const { results: history } = await dbLayer.getTransitions(env.DB, principal.userId, validation.parsedId);
+    return json({
+      status,
+      available: availableTransitions(transitions, status).map((name) => ({ name, to: transitions[name].to })),
+      history: history || [],
+    });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /todos/:id/transitions");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Run a named status transition, e.g. { "transition": "start" }, recording
+ * who triggered it. Returns 409 with the allowed next states when the todo's
+ * current status is not one the transition starts from.
+ * @param {Request} request - Request object with JSON body and params
+ * @param {Object} env - Environment object containing DB and STATUS_TRANSITIONS
+ * @returns {Promise<Response>} JSON object of updated todo or error
+ */
+router.post("/todos/:id/transitions", async (request, env, ctx) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const transitions = getTransitionGraph(env);
+  const name = body?.transition;
+  if (typeof name !== "string" || !Object.hasOwn(transitions, name))
+    return json({ error: "Unknown transition", transitions: Object.keys(transitions) }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { userId, id: triggeredBy } = request.principal;
+    const id = validation.parsedId;
+    const { from, to } = transitions[name];
+    const { results: updated } = await dbLayer.transitionTodo(env.DB, userId, id, { name, from, to, triggeredBy });
+    if (!updated || updated.length === 0) return respondToFailedUpdate(env, userId, id, { status: to }, transitions);
+
+    await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.updated", updated[0]));
+    const nextOccurrence = await createNextOccurrence(env, ctx, userId, updated[0]);
+    await rollUpParents(env, ctx, userId, updated[0].parent_id);
+    return json(nextOccurrence ? { ...updated[0], rrule: null, next_occurrence: nextOccurrence } : updated[0], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /todos/:id/transitions");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Restore a todo's title, description and status to an earlier version, e.g.
+ * POST /todos/:id/revert?version=3. The revert is itself a new version, and
+ * the status change follows the status workflow.
+ * @param {Request} request - Request object with params and query
+ * @param {Object} env - Environment object containing DB and STATUS_TRANSITIONS
+ * @returns {Promise<Response>} JSON object of updated todo or error
+ */
+router.post("/todos/:id/revert", async ({ params, query, principal }, env, ctx) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const version = typeof query.version === "string" && /^\d+$/.test(query.version) ? parseInt(query.version) : null;
+  if (!isValidVersion(version))
+    return json({ error: "Invalid version" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { userId } = principal;
+    const id = validation.parsedId;
+    const { results: current } = await dbLayer.getTodoById(env.DB, userId, id);
+    if (!current || current.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const { results: snapshot } = version <= current[0].version
+      ? await dbLayer.getTodoSnapshot(env.DB, userId, id, version)
+      : { results: [] };
+    if (snapshot.length === 0)
+      return json({ error: "Version not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const { title, description, status } = snapshot[0];
+    const transitions = getTransitionGraph(env);
+    // Guarded by the version read above, so a concurrent write is not overwritten
+    const options = { fromStatuses: sourceStatuses(transitions, status), version: current[0].version };
+    const { results: updated } = await dbLayer.patchTodo(env.DB, userId, id, { title, description, status }, options);
+    if (!updated || updated.length === 0)
+      return respondToFailedUpdate(env, userId, id, { status, version: options.version }, transitions);
+
+    await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.updated", updated[0]));
+    const nextOccurrence = await createNextOccurrence(env, ctx, userId, updated[0]);
+    await rollUpParents(env, ctx, userId, updated[0].parent_id);
+    return json(nextOccurrence ? { ...updated[0], rrule: null, next_occurrence: nextOccurrence } : updated[0], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /todos/:id/revert");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Parses the limit and cursor query parameters of an event feed
+ * @param {Object} query - Request query parameters
+ * @param {string} sort - Name the feed's cursors carry, so cursors of other feeds are rejected
+ * @returns {Object} Result with limit and after position, or an error message
+ */
+function parseEventQuery(query, sort = "event") {
+  const limit = parsePageLimit(query.limit);
+  if (limit === null) return { error: `Invalid limit (1-${MAX_PAGE_LIMIT})` };
+
+  let after;
+  if (query.cursor !== undefined) {
+    const position = typeof query.cursor === "string" ? decodeCursor(query.cursor) : null;
+    if (!position || position.sort !== sort) return { error: "Invalid cursor" };
+    after = { id: position.id };
+  }
+  return { limit, after, error: null };
+}
+
+/**
+ * Fetches one page of history events and wraps it in the page envelope
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Owner the page is scoped to
+ * @param {Object} options - limit and after from parseEventQuery, plus getEvents filters
+ * @returns {Promise<Object>} Page envelope with items and next cursor
+ */
+async function fetchEventPage(env, userId, options) {
+  const { limit } = options;
+  const { results } = await dbLayer.getEvents(env.DB, userId, { ...options, limit: limit + 1 });
+  const items = results.slice(0, limit);
+  const next = results.length > limit ? encodeCursor({ sort: "event", id: items[items.length - 1].id }) : null;
+  return { items, next, limit };
+}
+
+/**
+ * Get a page of a todo's change history, newest first. Each event carries the
+ * changed fields' values before and after and the version it produced, which
+ * POST /todos/:id/revert accepts. Trashed todos keep their history.
+ * Supports ?limit= and ?cursor=
+ * @param {Request} request - Request object with params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON page envelope with events and next cursor
+ */
+router.get("/todos/:id/history", async ({ params, query, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const { limit, after, error } = parseEventQuery(query);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const page = await fetchEventPage(env, principal.userId, { todoId: validation.parsedId, limit, after });
+    // Every todo has at least its created event
+    if (page.items.length === 0 && !after)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json(page);
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /todos/:id/history");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Restore a todo from the trash, together with the subtasks trashed with it
+ * @param {Request} request - Request object with params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of restored todo or error
+ */
+router.post("/todos/:id/restore", async ({ params, principal }, env, ctx) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.restoreTodo(env.DB, principal.userId, validation.parsedId);
+    if (!results || results.length === 0)
+      return json({ error: "Not found in trash" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    await queueWebhookEvents(env, ctx, principal.userId, todoWebhookEvents("todo.updated", results[0]));
+    await rollUpParents(env, ctx, principal.userId, results[0].parent_id);
+    return json(results[0], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /todos/:id/restore");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Loads a todo the caller owns for the /todos/:id/children routes
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Caller's user id
+ * @param {string} rawId - Route id parameter
+ * @returns {Promise<Object>} Result with the todo, or an error response
+ */
+async function findParentTodo(env, userId, rawId) {
+  const validation = validateTodoId(rawId);
+  if (!validation.isValid)
+    return { todo: null, response: json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST }) };
+
+  const { results } = await dbLayer.getTodoById(env.DB, userId, validation.parsedId);
+  if (!results || results.length === 0)
+    return { todo: null, response: json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND }) };
+
+  return { todo: results[0], response: null };
+}
+
+/**
+ * Get the direct subtasks of a todo in sibling order
+ * @param {Request} request - Request object with params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON array of subtasks or error
+ */
+router.get("/todos/:id/children", async ({ params, principal }, env) => {
+  try {
+    const { todo, response } = await findParentTodo(env, principal.userId, params.id);
+    if (response) return response;
+
+    const { results } = await dbLayer.getChildren(env.DB, principal.userId, todo.id);
+    return json(results || [], { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /todos/:id/children");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Add a subtask to a todo. A body of { todo_id } moves an existing todo
+ * under this one; any other body creates a new subtask like POST /todos
+ * @param {Request} request - Request object with JSON body and params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of the subtask or error
+ */
+router.post("/todos/:id/children", async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const userId = request.principal.userId;
+  try {
+    const { todo: parent, response } = await findParentTodo(env, userId, request.params.id);
+    if (response) return response;
+
+    if (body && body.todo_id !== undefined) {
+      const { isValid, parentId: childId } = parseParentId(body.todo_id);
+      if (!isValid || childId === null) return json({ error: "Invalid todo_id" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+      const { results: current } = await dbLayer.getTodoById(env.DB, userId, childId);
+      if (!current || current.length === 0) return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+      const parentError = await checkParentPlacement(env, userId, childId, parent.id);
+      if (parentError) return parentError;
+
+      const { results: updated } = await dbLayer.patchTodo(env.DB, userId, childId, { parent_id: parent.id });
+      await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.updated", updated[0]));
+      await rollUpParents(env, ctx, userId, current[0].parent_id, parent.id);
+      return json(updated[0], { status: HTTP_STATUS.OK });
+    }
+
+    const { todo, error } = validateNewTodo(body);
+    if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+    todo.parent_id = parent.id;
+    if (todo.list_id === undefined) todo.list_id = parent.list_id;
+
+    return createTodo(env, userId, todo, "POST /todos/:id/children", ctx);
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /todos/:id/children");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Reorder the subtasks of a todo
+ * @param {Request} request - Request object with { order: [ids] } body listing every subtask
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON array of subtasks in their new order or error
+ */
+router.put("/todos/:id/children", async (request, env) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  if (!body || !Array.isArray(body.order) || !body.order.every((id) => Number.isInteger(id)))
+    return json({ error: "order must be an array of todo ids" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const userId = request.principal.userId;
+  try {
+    const { todo: parent, response } = await findParentTodo(env, userId, request.params.id);
+    if (response) return response;
+
+    const { results: children } = await dbLayer.getChildren(env.DB, userId, parent.id);
+    const childIds = new Set(children.map((child) => child.id));
+    if (new Set(body.order).size !== body.order.length || body.order.length !== childIds.size || !body.order.every((id) => childIds.has(id)))
+      return json({ error: "order must list every subtask exactly once" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+    await dbLayer.reorderChildren(env.DB, userId, parent.id, body.order);
+    const { results } = await dbLayer.getChildren(env.DB, userId, parent.id);
+    return json(results, { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "PUT /todos/:id/children");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get the caller's lists with their todo counts
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON array of lists
+ */
+router.get("/lists", async ({ principal }, env) => {
+  try {
+    const { results } = await dbLayer.getLists(env.DB, principal.userId);
+    return json(results);
+  } catch (err) {
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Create a list
+ * @param {Request} request - Request object with JSON body containing name
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of created list or error
+ */
+router.post("/lists", async (request, env) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const { name, error } = validateListName(body?.name);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.insertList(env.DB, request.principal.userId, name);
+    return json(results[0], { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /lists");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a single list by ID
+ * @param {Object} params - Route parameters containing id
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of list or error
+ */
+router.get("/lists/:id", async ({ params, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.getListById(env.DB, principal.userId, validation.parsedId);
+    if (results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json(results[0]);
+  } catch (err) {
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Rename a list
+ * @param {Request} request - Request object with JSON body containing name
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of updated list or error
+ */
+router.put("/lists/:id", async (request, env) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const { name, error } = validateListName(body?.name);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.updateList(env.DB, request.principal.userId, validation.parsedId, name);
+    if (results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json(results[0]);
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "PUT /lists/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Delete a list
+ * ?todos=inbox (default) moves its todos to the inbox, ?todos=cascade deletes them
+ * @param {Request} request - Request object with params and query
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/lists/:id", async (request, env) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const mode = request.query.todos ?? "inbox";
+  if (mode !== "inbox" && mode !== "cascade")
+    return json({ error: "Invalid todos mode (inbox or cascade)" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const result = await dbLayer.deleteList(env.DB, request.principal.userId, validation.parsedId, {
+      cascade: mode === "cascade",
+    });
+    if (!result.meta || result.meta.changes === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json({ success: true });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "DELETE /lists/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a page of the todos in a list
+ * Accepts the same query parameters as GET /todos; list_id is taken from the path
+ * @param {Request} request - Request object with params and query
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON page envelope with items and next cursor
+ */
+router.get("/lists/:id/todos", async (request, env) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const { options, error } = parseTodoQuery(request.query);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.getListById(env.DB, request.principal.userId, validation.parsedId);
+    if (results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+  } catch (err) {
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+
+  return respondWithTodoPage(env, request.principal.userId, { ...options, listId: validation.parsedId }, request);
+});
+
+/**
+ * Get the caller's tags with the number of todos carrying each
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON array of tags
+ */
+router.get("/tags", async ({ principal }, env) => {
+  try {
+    const { results } = await dbLayer.getTags(env.DB, principal.userId);
+    return json(results || []);
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /tags");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Create a tag
+ * @param {Request} request - Request object with { name } body
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of created tag or error
+ */
+router.post("/tags", async (request, env) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const { name, error } = validateTagName(body?.name);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.insertTag(env.DB, request.principal.userId, name);
+    if (results.length === 0)
+      return json({ error: "Tag already exists" }, { status: HTTP_STATUS.CONFLICT });
+
+    return json(results[0], { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /tags");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Rename a tag. Todos reference tags by id, so every tagged todo shows the new name.
+ * @param {Request} request - Request object with { name } body and params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of renamed tag or error
+ */
+router.put("/tags/:id", async (request, env) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const { name, error } = validateTagName(body?.name);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const userId = request.principal.userId;
+    const { results: existing } = await dbLayer.getTagById(env.DB, userId, validation.parsedId);
+    if (existing.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const { results } = await dbLayer.updateTag(env.DB, userId, validation.parsedId, name);
+    if (results.length === 0)
+      return json({ error: "Tag already exists" }, { status: HTTP_STATUS.CONFLICT });
+
+    return json(results[0]);
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "PUT /tags/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Delete a tag and remove it from every todo
+ * @param {Request} request - Request object with params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/tags/:id", async ({ params, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const result = await dbLayer.deleteTag(env.DB, principal.userId, validation.parsedId);
+    if (!result.meta || result.meta.changes === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json({ success: true });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "DELETE /tags/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a page of the caller's trashed todos, most recently trashed first
+ * Supports ?limit= and ?cursor=
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON page envelope with items and next cursor
+ */
+router.get("/trash", async ({ query, principal }, env) => {
+  const limit = parsePageLimit(query.limit);
+  if (limit === null) return json({ error: `Invalid limit (1-${MAX_PAGE_LIMIT})` }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  let after;
+  if (query.cursor !== undefined) {
+    const position = typeof query.cursor === "string" ? decodeCursor(query.cursor) : null;
+    if (!position || position.sort !== "deleted_at" || typeof position.value !== "string")
+      return json({ error: "Invalid cursor" }, { status: HTTP_STATUS.BAD_REQUEST });
+    after = { value: position.value, id: position.id };
+  }
+
+  try {
+    const { results } = await dbLayer.getTrash(env.DB, principal.userId, { limit: limit + 1, after });
+    const items = results.slice(0, limit);
+    let next = null;
+    if (results.length > limit) {
+      const last = items[items.length - 1];
+      next = encodeCursor({ sort: "deleted_at", value: last.deleted_at, id: last.id });
+    }
+    return json({ items, next, limit });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /trash");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a page of the caller's activity feed: history events across all of
+ * their todos, newest first
+ * Supports ?limit=, ?cursor= and ?type= (created, updated, status_changed, deleted or restored)
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON page envelope with events and next cursor
+ */
+router.get("/activity", async ({ query, principal }, env) => {
+  const { limit, after, error } = parseEventQuery(query);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  if (query.type !== undefined && !EVENT_TYPES.includes(query.type))
+    return json({ error: `Invalid type (${EVENT_TYPES.join(", ")})` }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    return json(await fetchEventPage(env, principal.userId, { type: query.type, limit, after }));
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /activity");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Permanently delete a trashed todo and its trashed subtasks
+ * @param {Request} request - Request object with params
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/trash/:id", async ({ params, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const result = await dbLayer.purgeTodo(env.DB, principal.userId, validation.parsedId);
+    if (!result.meta || result.meta.changes === 0)
+      return json({ error: "Not found in trash" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json({ success: true });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "DELETE /trash/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+// Serializers for GET /export: the text before the first todo, each todo
+// (with its index in the export) and the text after the last one
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    header: () => formatCsvRecord(EXPORT_COLUMNS),
+    // Tags share one field, separated by commas
+    todo: (todo) => formatCsvRecord(EXPORT_COLUMNS.map((column) => (column === "tags" ? todo.tags.join(", ") : todo[column]))),
+    footer: () => "",
+  },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    header: () => "[",
+    todo: (todo, index) => (index === 0 ? "\n" : ",\n") + JSON.stringify(todo),
+    footer: (count) => (count === 0 ? "]\n" : "\n]\n"),
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    header: () => "",
+    todo: (todo) => JSON.stringify(todo) + "\n",
+    footer: () => "",
+  },
+};
+
+/**
+ * Streams the caller's todos in id order, reading EXPORT_PAGE_SIZE rows at a
+ * time as the client consumes the body, so the Worker never holds the whole
+ * export in memory
+ * @param {Object} env - Environment object containing DB
+ * @param {number} userId - Caller's user id
+ * @param {Object} format - Serializer from EXPORT_FORMATS
+ * @param {Object[]} firstPage - First page of todos, read before the response started
+ * @param {string} context - Route name used when logging errors
+ * @returns {ReadableStream} UTF-8 encoded export
+ */
+function streamExport(env, userId, format, firstPage, context = "GET /export") {
+  const encoder = new TextEncoder();
+  let page = firstPage;
+  let lastId = null;
+  let count = 0;
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(format.header()));
+    },
+    async pull(controller) {
+      try {
+        if (page === null) {
+          const { results } = await dbLayer.getAllTodos(env.DB, userId, { sort: "id", limit: EXPORT_PAGE_SIZE, after: { id: lastId } });
+          page = results;
+        }
+        let chunk = "";
+        for (const row of page) {
+          const todo = Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, row[column] ?? null]));
+          chunk += format.todo(todo, count++);
+        }
+        if (page.length < EXPORT_PAGE_SIZE) {
+          controller.enqueue(encoder.encode(chunk + format.footer(count)));
+          controller.close();
+          return;
+        }
+        lastId = page[page.length - 1].id;
+        page = null;
+        controller.enqueue(encoder.encode(chunk));
+      } catch (err) {
+        console.error(formatErrorMessage(err, context));
+        controller.error(err);
+      }
+    },
+  });
+}
+
+/**
+ * Export all of the caller's todos as ?format=csv (RFC 4180, with a header
+ * row), json (an array) or ndjson (one todo per line); json is the default.
+ * Trashed todos are not exported.
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} Streamed export as an attachment or error
+ */
+router.get("/export", async ({ query, principal }, env) => {
+  const name = query.format ?? "json";
+  if (!Object.hasOwn(EXPORT_FORMATS, name))
+    return json({ error: `Invalid format (${Object.keys(EXPORT_FORMATS).join(", ")})` }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    // The first page is read up front so a database failure is still a 500
+    const { results } = await dbLayer.getAllTodos(env.DB, principal.userId, { sort: "id", limit: EXPORT_PAGE_SIZE });
+    const filename = `todos-${new Date().toISOString().slice(0, 10)}.${name}`;
+    return new Response(streamExport(env, principal.userId, EXPORT_FORMATS[name], results), {
+      headers: {
+        "Content-Type": EXPORT_FORMATS[name].contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+    });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /export");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+// Import formats by the media type that selects them when ?format= is absent
+const IMPORT_MEDIA_TYPES = {
+  "text/csv": "csv",
+  "application/json": "json",
+  "text/plain": "todotxt",
+  [CALENDAR_MEDIA_TYPE]: "ics",
+};
+
+/**
+ * Splits an import into records of todo fields, each with the row it came
+ * from: the line for CSV (the header is line 1) and todo.txt, the position in
+ * the array for JSON and the BEGIN:VTODO line for iCalendar. Empty CSV fields
+ * count as absent, and CSV tags are separated by commas as in GET /export.
+ * @param {string} format - csv, json, todotxt or ics
+ * @param {string} text - Request body
+ * @returns {Object} Parse result with the records and error
+ */
+function parseImportRecords(format, text) {
+  if (format === "todotxt") {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim()) records.push({ row: index + 1, fields: parseTodoTxtLine(line) });
+    });
+    return { records, error: null };
+  }
+
+  if (format === "ics") {
+    const { todos, error } = parseVTodos(text);
+    if (error) return { records: null, error };
+    return { records: todos.map(({ line, fields }) => ({ row: line, fields })), error: null };
+  }
+
+  if (format === "json") {
+    let items;
+    try {
+      items = JSON.parse(text);
+    } catch {
+      return { records: null, error: "Invalid JSON" };
+    }
+    if (!Array.isArray(items)) return { records: null, error: "JSON import must be an array of todos" };
+    return { records: items.map((fields, index) => ({ row: index + 1, fields })), error: null };
+  }
+
+  const { records: csv, error } = parseCsv(text);
+  if (error) return { records: null, error };
+  if (csv.length === 0) return { records: [], error: null };
+  const columns = csv[0].fields.map((name) => name.trim().toLowerCase());
+  if (!columns.includes("title")) return { records: null, error: "CSV header must include a title column" };
+
+  const records = csv.slice(1).map(({ line, fields: values }) => {
+    const fields = {};
+    columns.forEach((column, index) => {
+      const value = values[index];
+      if (value === undefined || value === "") return;
+      fields[column] = column === "tags" ? value.split(",").map((tag) => tag.trim()).filter(Boolean) : value;
+    });
+    return { row: line, fields };
+  });
+  return { records, error: null };
+}
+
+/**
+ * Validates an import record with the checks POST /todos applies. Unlike
+ * POST /todos, an unknown status is an error rather than the default status.
+ * @param {*} record - Record fields
+ * @returns {Object} Validation result with the todo and error
+ */
+function validateImportRecord(record) {
+  if (!record || typeof record !== "object" || Array.isArray(record))
+    return { todo: null, error: "Record must be an object" };
+
+  const body = {};
+  for (const field of IMPORT_FIELDS) {
+    if (record[field] !== undefined) body[field] = record[field];
+  }
+  if (body.status !== undefined && !isValidStatus(body.status)) return { todo: null, error: "Invalid status" };
+  return validateNewTodo(body);
+}
+
+/**
+ * Import todos from ?format=csv (with a header row naming the columns),
+ * json (an array of todo objects), todotxt (one todo.txt task per line) or
+ * ics (the VTODO components of an iCalendar file). Without ?format= the
+ * Content-Type decides: text/csv, application/json, text/plain or
+ * text/calendar. Records that fail validation are skipped and reported by row;
+ * the rest are written in batches of IMPORT_CHUNK_SIZE. ?dry_run=true only
+ * validates and writes nothing.
+ * @param {Request} request - Request object with the file as body
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON import report or error
+ */
+router.post("/import", async (request, env, ctx) => {
+  const { query } = request;
+  const mediaType = (request.headers.get("Content-Type") ?? "").split(";")[0].trim().toLowerCase();
+  const format = query.format ?? IMPORT_MEDIA_TYPES[mediaType];
+  if (!Object.values(IMPORT_MEDIA_TYPES).includes(format))
+    return json({ error: "Invalid format (csv, json, todotxt, ics)" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  if (query.dry_run !== undefined && query.dry_run !== "true" && query.dry_run !== "false")
+    return json({ error: "dry_run must be true or false" }, { status: HTTP_STATUS.BAD_REQUEST });
+  const dryRun = query.dry_run === "true";
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_IMPORT_BYTES)
+    return json({ error: `Import is too large (max ${MAX_IMPORT_BYTES} bytes)` }, { status: HTTP_STATUS.PAYLOAD_TOO_LARGE });
+
+  const { records, error } = parseImportRecords(format, text);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (records.length > MAX_IMPORT_RECORDS)
+    return json({ error: `Import has too many records (max ${MAX_IMPORT_RECORDS})` }, { status: HTTP_STATUS.PAYLOAD_TOO_LARGE });
+
+  const errors = [];
+  const todos = [];
+  for (const { row, fields } of records) {
+    const { todo, error: recordError } = validateImportRecord(fields);
+    if (recordError) errors.push({ row, error: recordError });
+    else todos.push(todo);
+  }
+
+  const report = { format, dry_run: dryRun, total: records.length, valid: todos.length, imported: 0, errors };
+  if (dryRun) return json(report);
+
+  try {
+    for (let start = 0; start < todos.length; start += IMPORT_CHUNK_SIZE) {
+      const chunk = todos.slice(start, start + IMPORT_CHUNK_SIZE);
+      const batch = await dbLayer.runTodoBatch(env.DB, request.principal.userId, chunk.map((todo) => ({ op: "create", todo })));
+      report.imported += chunk.length;
+      const created = batch.results.map(({ results }) => results[0]);
+      await queueWebhookEvents(env, ctx, request.principal.userId, created.flatMap((todo) => todoWebhookEvents("todo.created", todo)));
+    }
+    return json(report, { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /import");
+    console.error(errorMsg);
+
+    // Earlier chunks are committed; report how far the import got
+    return json(
+      { ...report, error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Create or replace the caller's calendar feed token. The token is only
+ * shown in this response; creating a new one revokes the previous token.
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object with token, feed url and created_at
+ */
+router.post("/calendar/token", async (request, env) => {
+  try {
+    const token = authLayer.generateCalendarToken();
+    const tokenHash = await authLayer.hashApiKey(token);
+    const { results } = await dbLayer.upsertCalendarToken(env.DB, request.principal.userId, tokenHash);
+    const url = new URL(`/calendar.ics?token=${encodeURIComponent(token)}`, request.url).href;
+    return json({ token, url, created_at: results[0].created_at }, { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /calendar/token");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Revoke the caller's calendar feed token
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/calendar/token", async ({ principal }, env) => {
+  try {
+    const result = await dbLayer.deleteCalendarToken(env.DB, principal.userId);
+    if (!result.meta || result.meta.changes === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json({ success: true });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "DELETE /calendar/token");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Subscribable iCalendar feed of the token owner's todos, one VTODO each.
+ * Calendar clients cannot send headers, so the feed token from
+ * POST /calendar/token is passed as ?token= instead of an API key.
+ * @param {Request} request - Request object with the token in the query
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} Streamed text/calendar feed or error
+ */
+router.get("/calendar.ics", async (request, env) => {
+  const { token } = request.query;
+  if (typeof token !== "string" || !token)
+    return json({ error: "Calendar token required" }, { status: HTTP_STATUS.UNAUTHORIZED });
+
+  try {
+    const { results: owners } = await dbLayer.getCalendarTokenOwner(env.DB, await authLayer.hashApiKey(token));
+    if (!owners[0]) return json({ error: "Invalid calendar token" }, { status: HTTP_STATUS.UNAUTHORIZED });
+
+    const userId = owners[0].user_id;
+    const domain = new URL(request.url).hostname;
+    const format = {
+      header: () => formatCalendarHeader("Todos"),
+      todo: (todo) => formatVTodo(todo, domain),
+      footer: formatCalendarFooter,
+    };
+    const { results } = await dbLayer.getAllTodos(env.DB, userId, { sort: "id", limit: EXPORT_PAGE_SIZE });
+    return new Response(streamExport(env, userId, format, results, "GET /calendar.ics"), {
+      headers: { "Content-Type": `${CALENDAR_MEDIA_TYPE}; charset=utf-8` },
+    });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /calendar.ics");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Validates a webhook URL. Deliveries carry signed todo data, so they only go
+ * over https and never to hosts on a private network.
+ * @param {*} url - Value to validate
+ * @returns {boolean} True if url is an absolute https URL without credentials on a public host
+ */
+function isValidWebhookUrl(url) {
+  if (typeof url !== "string" || url.length > MAX_WEBHOOK_URL_LENGTH) return false;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" && !parsed.username && !parsed.password && !isPrivateHost(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses the events a webhook subscribes to
+ * @param {*} events - Value to parse
+ * @returns {Object} Result with the events in WEBHOOK_EVENTS order and error
+ */
+function parseWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0 || !events.every((event) => WEBHOOK_EVENTS.includes(event)))
+    return { events: null, error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(", ")}` };
+  return { events: WEBHOOK_EVENTS.filter((event) => events.includes(event)), error: null };
+}
+
+/**
+ * Shapes a webhooks row for responses
+ * @param {Object} row - Row with space separated events and a 0/1 active flag
+ * @returns {Object} Webhook with an events array and a boolean active
+ */
+function toWebhook(row) {
+  return { ...row, events: row.events.split(" "), active: row.active === 1 };
+}
+
+/**
+ * List the caller's webhooks. Secrets are not included.
+ * @param {Request} request - Request object
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON array of webhooks
+ */
+router.get("/webhooks", async ({ principal }, env) => {
+  try {
+    const { results } = await dbLayer.getWebhooks(env.DB, principal.userId);
+    return json(results.map(toWebhook));
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /webhooks");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Register a webhook: url and events (todo.created, todo.updated,
+ * todo.deleted, todo.completed), plus an optional secret of 16-256
+ * characters. Without one a secret is generated. The secret is only
+ * returned here; deliveries are signed with it (see src/webhooks.js).
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of created webhook with its secret or error
+ */
+router.post("/webhooks", async (request, env) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  if (!isValidWebhookUrl(body?.url))
+    return json({ error: "Invalid url (expected an https URL on a public host)" }, { status: HTTP_STATUS.BAD_REQUEST });
+  const { events, error } = parseWebhookEvents(body.events);
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (body.secret !== undefined && (typeof body.secret !== "string" || body.secret.length < 16 || body.secret.length > 256))
+    return json({ error: "Invalid secret (16-256 characters)" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const secret = body.secret ?? generateWebhookSecret();
+    const { results } = await dbLayer.insertWebhook(env.DB, request.principal.userId, { url: body.url, events: events.join(" "), secret });
+    return json(toWebhook(results[0]), { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /webhooks");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a single webhook by ID
+ * @param {Object} params - Route parameters containing id
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of webhook or error
+ */
+router.get("/webhooks/:id", async ({ params, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.getWebhookById(env.DB, principal.userId, validation.parsedId);
+    if (results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json(toWebhook(results[0]));
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /webhooks/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Change a webhook's url, events or active flag; omitted fields are kept.
+ * Pending deliveries of an inactive webhook wait until it is active again.
+ * @param {Request} request - Request object with JSON body
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON object of updated webhook or error
+ */
+router.put("/webhooks/:id", async (request, env) => {
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const fields = {};
+  if (body?.url !== undefined) {
+    if (!isValidWebhookUrl(body.url))
+      return json({ error: "Invalid url (expected an https URL on a public host)" }, { status: HTTP_STATUS.BAD_REQUEST });
+    fields.url = body.url;
+  }
+  if (body?.events !== undefined) {
+    const { events, error } = parseWebhookEvents(body.events);
+    if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+    fields.events = events.join(" ");
+  }
+  if (body?.active !== undefined) {
+    if (typeof body.active !== "boolean") return json({ error: "active must be a boolean" }, { status: HTTP_STATUS.BAD_REQUEST });
+    fields.active = body.active ? 1 : 0;
+  }
+  if (Object.keys(fields).length === 0)
+    return json({ error: "Nothing to update (url, events or active)" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.updateWebhook(env.DB, request.principal.userId, validation.parsedId, fields);
+    if (results.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json(toWebhook(results[0]));
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "PUT /webhooks/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Delete a webhook together with its deliveries and their attempt log
+ * @param {Object} params - Route parameters containing id
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/webhooks/:id", async ({ params, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const result = await dbLayer.deleteWebhook(env.DB, principal.userId, validation.parsedId);
+    if (!result.meta || result.meta.changes === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json({ success: true });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "DELETE /webhooks/:id");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Get a page of a webhook's deliveries, newest first, each with its status
+ * (pending, delivered or failed), payload and attempt history.
+ * Supports ?limit= and ?cursor=
+ * @param {Request} request - Request object with params and query
+ * @param {Object} env - Environment object containing DB
+ * @returns {Promise<Response>} JSON page envelope with deliveries and next cursor
+ */
+router.get("/webhooks/:id/deliveries", async ({ params, query, principal }, env) => {
+  const validation = validateTodoId(params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const { limit, after, error } = parseEventQuery(query, "delivery");
+  if (error) return json({ error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results: webhooks } = await dbLayer.getWebhookById(env.DB, principal.userId, validation.parsedId);
+    if (webhooks.length === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    const { results } = await dbLayer.getWebhookDeliveries(env.DB, principal.userId, validation.parsedId, { limit: limit + 1, after });
+    const items = results.slice(0, limit);
+    const next = results.length > limit ? encodeCursor({ sort: "delivery", id: items[items.length - 1].id }) : null;
+    return json({ items, next, limit });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "GET /webhooks/:id/deliveries");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Reads the raw body of a request from Slack and checks its signature
+ * against the SLACK_SIGNING_SECRET secret
+ * @param {Request} request - Request from Slack
+ * @param {Object} env - Environment object containing SLACK_SIGNING_SECRET
+ * @returns {Promise<Object>} Result with the form fields, or an error response
+ */
+async function readSlackRequest(request, env) {
+  if (!env.SLACK_SIGNING_SECRET)
+    return { form: null, response: json({ error: "Slack integration is disabled" }, { status: HTTP_STATUS.FORBIDDEN }) };
+
+  const body = await request.text();
+  const { valid, error } = await slackLayer.verifySlackSignature(env.SLACK_SIGNING_SECRET, {
+    timestamp: request.headers.get("X-Slack-Request-Timestamp"),
+    signature: request.headers.get("X-Slack-Signature"),
+    body,
+  });
+  if (!valid) return { form: null, response: json({ error }, { status: HTTP_STATUS.UNAUTHORIZED }) };
+  return { form: new URLSearchParams(body), response: null };
+}
+
+/**
+ * Resolves the user behind a Slack user. Each Slack user in each workspace
+ * gets their own todos, owned by the principal slack:<team id>:<user id>.
+ * @param {Object} env - Environment object containing DB
+ * @param {string} teamId - Slack workspace id
+ * @param {string} slackUserId - Slack user id
+ * @returns {Promise<number>} User id
+ */
+async function resolveSlackUser(env, teamId, slackUserId) {
+  const { results } = await dbLayer.getOrCreateUser(env.DB, `slack:${teamId}:${slackUserId}`);
+  return results[0].id;
+}
+
+/**
+ * Builds the Slack list of a user's todos with one status, in manual order
+ * @param {Object} env - Environment object containing DB and STATUS_TRANSITIONS
+ * @param {number} userId - User id
+ * @param {string} status - Status to list
+ * @param {string} heading - mrkdwn heading shown above the todos
+ * @returns {Promise<Object>} Slack message
+ */
+async function buildSlackList(env, userId, status, heading) {
+  const transitions = getTransitionGraph(env);
+  const { results } = await dbLayer.getAllTodos(env.DB, userId, { status, limit: SLACK_LIST_LIMIT + 1 });
+  return slackLayer.listMessage(results.slice(0, SLACK_LIST_LIMIT), {
+    heading,
+    more: results.length > SLACK_LIST_LIMIT,
+    canComplete: (todo) => nextStatuses(transitions, todo.status).includes("complete"),
+  });
+}
+
+/**
+ * Slack slash command: `/todo add <title>` creates a todo and `/todo list
+ * [status]` lists todos with a status (default incomplete). Anything else
+ * gets the usage. Replies are ephemeral Block Kit messages; errors are
+ * replied as text since Slack shows failed requests as a generic error.
+ * @param {Request} request - Form encoded slash command from Slack
+ * @param {Object} env - Environment object containing DB and SLACK_SIGNING_SECRET
+ * @param {Object} ctx - Execution context used to start webhook deliveries
+ * @returns {Promise<Response>} JSON Slack message or error
+ */
+router.post("/integrations/slack/command", async (request, env, ctx) => {
+  const { form, response } = await readSlackRequest(request, env);
+  if (response) return response;
+
+  const parsed = slackLayer.parseSlashCommand(form.get("text"));
+  if (parsed.command === "help") return json(slackLayer.helpMessage());
+
+  try {
+    const userId = await resolveSlackUser(env, form.get("team_id"), form.get("user_id"));
+
+    if (parsed.command === "list") {
+      const status = parsed.status ?? DEFAULT_STATUS;
+      if (!isValidStatus(status)) return json(slackLayer.textMessage(`Unknown status: ${status}`));
+      return json(await buildSlackList(env, userId, status, `*Your ${status} todos*`));
+    }
+
+    const { todo, error } = validateNewTodo({ title: parsed.title });
+    if (error) return json(slackLayer.textMessage(error));
+    const { results } = await dbLayer.insertTodo(env.DB, userId, todo);
+    await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.created", results[0]));
+    const canComplete = nextStatuses(getTransitionGraph(env), results[0].status).includes("complete");
+    return json(slackLayer.addedMessage(results[0], canComplete));
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /integrations/slack/command");
+    console.error(errorMsg);
+
+    return json(slackLayer.textMessage("Something went wrong, please try again"));
+  }
+});
+
+/**
+ * Slack interactions: the "Complete" button on todo messages. The todo is
+ * completed following the status workflow and acknowledged at once; the
+ * message is then replaced, via the interaction's response_url, with the
+ * refreshed list of open todos. Other interactions are acknowledged and ignored.
+ * @param {Request} request - Form encoded interaction payload from Slack
+ * @param {Object} env - Environment object containing DB and SLACK_SIGNING_SECRET
+ * @param {Object} ctx - Execution context used to send the follow-up message and start webhook deliveries
+ * @returns {Promise<Response>} Empty 200 acknowledgement or error
+ */
+router.post("/integrations/slack/interactions", async (request, env, ctx) => {
+  const { form, response } = await readSlackRequest(request, env);
+  if (response) return response;
+
+  let payload;
+  try {
+    payload = JSON.parse(form.get("payload"));
+  } catch {
+    return json({ error: "Invalid payload" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const action = payload?.type === "block_actions" ? payload.actions?.find((item) => item.action_id === slackLayer.COMPLETE_ACTION_ID) : null;
+  if (!action) return new Response(null, { status: HTTP_STATUS.OK });
+  const validation = validateTodoId(action.value);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const userId = await resolveSlackUser(env, payload.team?.id ?? payload.user?.team_id, payload.user?.id);
+    const transitions = getTransitionGraph(env);
+    const { results: updated } = await dbLayer.patchTodo(env.DB, userId, validation.parsedId, { status: "complete" }, {
+      fromStatuses: sourceStatuses(transitions, "complete"),
+    });
+
+    let message;
+    if (!updated || updated.length === 0) {
+      message = { ...slackLayer.textMessage("That todo was deleted or can no longer be completed"), replace_original: false };
+    } else {
+      await queueWebhookEvents(env, ctx, userId, todoWebhookEvents("todo.updated", updated[0]));
+      await createNextOccurrence(env, ctx, userId, updated[0]);
+      await rollUpParents(env, ctx, userId, updated[0].parent_id);
+      const heading = `Completed *${slackLayer.escapeMrkdwn(updated[0].title)}*. Your ${DEFAULT_STATUS} todos:`;
+      message = { ...(await buildSlackList(env, userId, DEFAULT_STATUS, heading)), replace_original: true };
+    }
+    // The todo is already completed; a failed or slow follow-up must not turn
+    // the acknowledgement into an error or delay it past Slack's deadline
+    ctx.waitUntil(
+      slackLayer
+        .postSlackResponse(payload.response_url, message)
+        .catch((err) => console.error(formatErrorMessage(err, "Slack response_url")))
+    );
+    return new Response(null, { status: HTTP_STATUS.OK });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /integrations/slack/interactions");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Report the live schema version and pending migrations
+ * @param {Request} request - Request object carrying the admin bearer token
+ * @param {Object} env - Environment object containing DB and ADMIN_TOKEN
+ * @returns {Promise<Response>} JSON migration status or error
+ */
+router.get("/admin/migrations", async (request, env) => {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  try {
+    return json(await getMigrationStatus(env.DB));
+  } catch (err) {
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Apply pending migrations; safe to call repeatedly
+ * @param {Request} request - Request object carrying the admin bearer token
+ * @param {Object} env - Environment object containing DB and ADMIN_TOKEN
+ * @returns {Promise<Response>} JSON with live version and migrations applied by this call
+ */
+router.post("/admin/migrations", async (request, env) => {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  try {
+    return json(await applyMigrations(env.DB));
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /admin/migrations");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Create an API key; the plain key is only returned in this response
+ * @param {Request} request - Request with name, principal and optional scopes
+ * @param {Object} env - Environment object containing DB and ADMIN_TOKEN
+ * @returns {Promise<Response>} JSON object of the key record plus the key
+ */
+router.post("/admin/api-keys", async (request, env) => {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  const name = sanitizeTitle(body?.name);
+  if (!name) return json({ error: "Name required" }, { status: HTTP_STATUS.BAD_REQUEST });
+  if (typeof body.principal !== "string" || !body.principal.trim())
+    return json({ error: "Principal required" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const scopes = body.scopes ?? authLayer.DEFAULT_SCOPES;
+  if (!isValidScopeList(scopes)) return json({ error: "Invalid scopes" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const key = authLayer.generateApiKey();
+    const keyHash = await authLayer.hashApiKey(key);
+    const { results } = await dbLayer.insertApiKey(env.DB, name, keyHash, body.principal.trim(), scopes.join(" "));
+    return json({ ...results[0], key }, { status: HTTP_STATUS.CREATED });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /admin/api-keys");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Revoke an API key
+ * @param {Request} request - Request with the key id in params
+ * @param {Object} env - Environment object containing DB and ADMIN_TOKEN
+ * @returns {Promise<Response>} JSON success message or error
+ */
+router.delete("/admin/api-keys/:id", async (request, env) => {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  const validation = validateTodoId(request.params.id);
+  if (!validation.isValid)
+    return json({ error: validation.error }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const result = await dbLayer.revokeApiKey(env.DB, validation.parsedId);
+    if (!result.meta || result.meta.changes === 0)
+      return json({ error: "Not found" }, { status: HTTP_STATUS.NOT_FOUND });
+
+    return json({ success: true });
+  } catch (err) {
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Issue an HMAC-signed bearer token signed with AUTH_TOKEN_SECRET
+ * @param {Request} request - Request with sub, optional scopes and ttl (seconds)
+ * @param {Object} env - Environment object containing AUTH_TOKEN_SECRET and ADMIN_TOKEN
+ * @returns {Promise<Response>} JSON object with token and expires_at
+ */
+router.post("/admin/tokens", async (request, env) => {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  if (!env.AUTH_TOKEN_SECRET)
+    return json({ error: "AUTH_TOKEN_SECRET is not configured" }, { status: HTTP_STATUS.INTERNAL_SERVER_ERROR });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  if (typeof body?.sub !== "string" || !body.sub.trim())
+    return json({ error: "Subject required" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const scopes = body.scopes ?? authLayer.DEFAULT_SCOPES;
+  if (!isValidScopeList(scopes)) return json({ error: "Invalid scopes" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const ttl = body.ttl ?? 60 * 60;
+  if (!Number.isInteger(ttl) || ttl <= 0 || ttl > MAX_TOKEN_TTL_SECONDS)
+    return json({ error: `Invalid ttl (1-${MAX_TOKEN_TTL_SECONDS} seconds)` }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  const exp = Math.floor(Date.now() / 1000) + ttl;
+  const token = await authLayer.signToken({ sub: body.sub.trim(), scope: scopes.join(" "), exp }, env.AUTH_TOKEN_SECRET);
+  return json({ token, expires_at: new Date(exp * 1000).toISOString() }, { status: HTTP_STATUS.CREATED });
+});
+
+/**
+ * Assign the todos left without an owner by the users migration (0004) to a
+ * principal, creating its user if needed. Safe to call repeatedly.
+ * @param {Request} request - Request with the principal to assign them to
+ * @param {Object} env - Environment object containing DB and ADMIN_TOKEN
+ * @returns {Promise<Response>} JSON object with user_id and the number of todos claimed
+ */
+router.post("/admin/claim-todos", async (request, env) => {
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: HTTP_STATUS.BAD_REQUEST });
+  }
+
+  if (typeof body?.principal !== "string" || !body.principal.trim())
+    return json({ error: "Principal required" }, { status: HTTP_STATUS.BAD_REQUEST });
+
+  try {
+    const { results } = await dbLayer.getOrCreateUser(env.DB, body.principal.trim());
+    const result = await dbLayer.claimUnownedTodos(env.DB, results[0].id);
+    return json({ user_id: results[0].id, claimed: result.meta?.changes ?? 0 });
+  } catch (err) {
+    const errorMsg = formatErrorMessage(err, "POST /admin/claim-todos");
+    console.error(errorMsg);
+
+    return json(
+      { error: err.message || "DB failure" },
+      { status: HTTP_STATUS.INTERNAL_SERVER_ERROR }
+    );
+  }
+});
+
+/**
+ * Catch-all route for unsupported routes/methods
+ * @returns {Response} JSON error response
+ */
+router.all("*", () =>
+  json({ error: "Not Found" }, { status: HTTP_STATUS.METHOD_NOT_ALLOWED })
+);
+
+/**
+ * Parses the TRASH_RETENTION_DAYS variable
+ * @param {string|undefined} value - Configured number of days
+ * @returns {number} Days a todo stays in the trash before it is purged
+ */
+function parseTrashRetentionDays(value) {
+  if (value === undefined) return DEFAULT_TRASH_RETENTION_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    console.error(`Invalid TRASH_RETENTION_DAYS "${value}", using ${DEFAULT_TRASH_RETENTION_DAYS}`);
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  return days;
+}
+
+/**
+ * Work done on every cron trigger: records notifications for reminders that
+ * are due, purges todos that have been in the trash longer than
+ * TRASH_RETENTION_DAYS (default 30) and sends due webhook deliveries,
+ * including retries. Each task runs even if another fails.
+ * @param {Object} env - Environment object containing DB and TRASH_RETENTION_DAYS
+ * @param {Date} now - Scheduled time of the trigger
+ * @returns {Promise<Object>} Counts of the work done: reminders recorded, todos purged and webhook
+ *   deliveries attempted; a task that failed has no count
+ */
+async function runScheduledTasks(env, now) {
+  const counts = {};
+  try {
+    const { results } = await dbLayer.recordDueReminders(env.DB, now.toISOString());
+    counts.reminders = results.length;
+  } catch (err) {
+    console.error(formatErrorMessage(err, "scheduled reminders"));
+  }
+
+  try {
+    const retentionDays = parseTrashRetentionDays(env.TRASH_RETENTION_DAYS);
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = await dbLayer.purgeExpiredTrash(env.DB, cutoff);
+    counts.purged = result.meta?.changes ?? 0;
+  } catch (err) {
+    console.error(formatErrorMessage(err, "scheduled trash purge"));
+  }
+
+  try {
+    counts.deliveries = await deliverWebhooks(env, now);
+  } catch (err) {
+    console.error(formatErrorMessage(err, "scheduled webhook deliveries"));
+  }
+  return counts;
+}
+
+/**
+ * Cloudflare Workers entry point
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables and bindings (includes DB)
+ * @param {Object} ctx - Execution context
+ * @returns {Promise<Response>} Response object
+ */
+export default {
+  async fetch(request, env, ctx) {
+    // Pass env to router so it can access DB binding
+    return router.fetch(request, env, ctx);
+  },
+
+  /**
+   * Cron trigger handler, see "triggers" in wrangler.jsonc
+   * @param {Object} controller - Scheduled controller with scheduledTime
+   * @param {Object} env - Environment variables and bindings (includes DB)
+   * @param {Object} ctx - Execution context
+   */
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(runScheduledTasks(env, new Date(controller.scheduledTime)));
   },
 };
\ No newline at end of file
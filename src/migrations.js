@@ -0,0 +1,182 @@
+// src/migrations.js
+import createTodos from "../migrations/0001_create_todos.sql";
+import addTodoTimestamps from "../migrations/0002_add_todo_timestamps.sql";
+import createApiKeys from "../migrations/0003_create_api_keys.sql";
+import addUsersAndOwners from "../migrations/0004_add_users_and_owners.sql";
+import createLists from "../migrations/0005_create_lists.sql";
+import addTodoParents from "../migrations/0006_add_todo_parents.sql";
+import addDueDatesAndNotifications from "../migrations/0007_add_due_dates_and_notifications.sql";
+import addTodoRrule from "../migrations/0008_add_todo_rrule.sql";
+import createTags from "../migrations/0009_create_tags.sql";
+import createTodosFts from "../migrations/0010_create_todos_fts.sql";
+import addTodoPriorityAndPosition from "../migrations/0011_add_todo_priority_and_position.sql";
+import addTodoDeletedAt from "../migrations/0012_add_todo_deleted_at.sql";
+import createTodoTransitions from "../migrations/0013_create_todo_transitions.sql";
+import createTodoEvents from "../migrations/0014_create_todo_events.sql";
+import addTodoVersions from "../migrations/0015_add_todo_versions.sql";
+import createBatchAssertions from "../migrations/0016_create_batch_assertions.sql";
+import createCalendarTokens from "../migrations/0017_create_calendar_tokens.sql";
+import createWebhooks from "../migrations/0018_create_webhooks.sql";
+import updateBatchAssertionsCode from "../migrations/0019_update_batch_assertions_code.sql";
+import skipUnownedTodoEvents from "../migrations/0020_skip_unowned_todo_events.sql";
+import nameFailedBatchOperation from "../migrations/0021_name_failed_batch_operation.sql";
+
+// Same table wrangler uses for `wrangler d1 migrations apply`, so both tools
+// agree on which migrations are live
+const MIGRATIONS_TABLE = "d1_migrations";
+
+/**
+ * Ordered list of schema migrations bundled with the Worker.
+ * Every file in migrations/ must be registered here.
+ */
+export const MIGRATIONS = [
+  { name: "0001_create_todos.sql", sql: createTodos },
+  { name: "0002_add_todo_timestamps.sql", sql: addTodoTimestamps },
+  { name: "0003_create_api_keys.sql", sql: createApiKeys },
+  { name: "0004_add_users_and_owners.sql", sql: addUsersAndOwners },
+  { name: "0005_create_lists.sql", sql: createLists },
+  { name: "0006_add_todo_parents.sql", sql: addTodoParents },
+  { name: "0007_add_due_dates_and_notifications.sql", sql: addDueDatesAndNotifications },
+  { name: "0008_add_todo_rrule.sql", sql: addTodoRrule },
+  { name: "0009_create_tags.sql", sql: createTags },
+  { name: "0010_create_todos_fts.sql", sql: createTodosFts },
+  { name: "0011_add_todo_priority_and_position.sql", sql: addTodoPriorityAndPosition },
+  { name: "0012_add_todo_deleted_at.sql", sql: addTodoDeletedAt },
+  { name: "0013_create_todo_transitions.sql", sql: createTodoTransitions },
+  { name: "0014_create_todo_events.sql", sql: createTodoEvents },
+  { name: "0015_add_todo_versions.sql", sql: addTodoVersions },
+  { name: "0016_create_batch_assertions.sql", sql: createBatchAssertions },
+  { name: "0017_create_calendar_tokens.sql", sql: createCalendarTokens },
+  { name: "0018_create_webhooks.sql", sql: createWebhooks },
+  { name: "0019_update_batch_assertions_code.sql", sql: updateBatchAssertionsCode },
+  { name: "0020_skip_unowned_todo_events.sql", sql: skipUnownedTodoEvents },
+  { name: "0021_name_failed_batch_operation.sql", sql: nameFailedBatchOperation },
+];
+
+/**
+ * Extracts the version number from a migration file name
+ * @param {string} name - File name such as 0002_add_todo_timestamps.sql
+ * @returns {number|null} Version number, or null if the name is not a migration
+ */
+export function migrationVersion(name) {
+  const match = /^(\d+)_[\w-]+\.sql$/.exec(name);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Splits a SQL script into individual statements.
+ * Semicolons inside quotes, comments and CREATE TRIGGER bodies are kept.
+ * @param {string} sql - SQL script
+ * @returns {string[]} Statements without their trailing semicolon
+ */
+export function splitStatements(sql) {
+  const statements = [];
+  let current = "";
+  let i = 0;
+
+  const flush = () => {
+    const statement = current.trim();
+    if (statement) statements.push(statement);
+    current = "";
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const rest = sql.slice(i);
+
+    if (rest.startsWith("--")) {
+      const end = sql.indexOf("\n", i);
+      i = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+    if (rest.startsWith("/*")) {
+      const end = sql.indexOf("*/", i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+    if (char === "'" || char === '"' || char === "`") {
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === char && sql[end + 1] === char) end += 2;
+        else if (sql[end] === char) break;
+        else end++;
+      }
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+    if (char === ";") {
+      const isTrigger = /^\s*CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i.test(current);
+      if (!isTrigger || /\bEND\s*$/i.test(current)) {
+        flush();
+        i++;
+        continue;
+      }
+    }
+    current += char;
+    i++;
+  }
+  flush();
+  return statements;
+}
+
+/**
+ * Creates the tracking table if needed and lists applied migrations
+ * @param {Object} DB - D1 database binding
+ * @returns {Promise<string[]>} Names of applied migrations
+ */
+async function getAppliedMigrations(DB) {
+  await DB.prepare(
+    `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )`
+  ).run();
+  const { results } = await DB.prepare(`SELECT name FROM ${MIGRATIONS_TABLE} ORDER BY id`).all();
+  return results.map((row) => row.name);
+}
+
+/**
+ * Reports the live schema version and which migrations are still pending
+ * @param {Object} DB - D1 database binding
+ * @param {Array<{name: string, sql: string}>} migrations - Known migrations
+ * @returns {Promise<Object>} { version, applied, pending }
+ */
+export async function getMigrationStatus(DB, migrations = MIGRATIONS) {
+  const applied = await getAppliedMigrations(DB);
+  const pending = migrations.filter((migration) => !applied.includes(migration.name)).map((migration) => migration.name);
+  const version = applied.reduce((max, name) => Math.max(max, migrationVersion(name) ?? 0), 0);
+  return { version, applied, pending };
+}
+
+/**
+ * Applies pending migrations in version order. Each migration runs in a
+ * single D1 batch together with its tracking row, so a failing migration
+ * leaves no partial changes and re-running is safe.
+ * @param {Object} DB - D1 database binding
+ * @param {Array<{name: string, sql: string}>} migrations - Known migrations
+ * @returns {Promise<Object>} { version, applied } where applied lists migrations run by this call
+ */
+export async function applyMigrations(DB, migrations = MIGRATIONS) {
+  const alreadyApplied = await getAppliedMigrations(DB);
+  const ordered = [...migrations].sort((a, b) => migrationVersion(a.name) - migrationVersion(b.name));
+  const applied = [];
+
+  for (const migration of ordered) {
+    if (migrationVersion(migration.name) === null) throw new Error(`Invalid migration name: ${migration.name}`);
+    if (alreadyApplied.includes(migration.name)) continue;
+
+    const statements = splitStatements(migration.sql).map((sql) => DB.prepare(sql));
+    statements.push(DB.prepare(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (?)`).bind(migration.name));
+    try {
+      await DB.batch(statements);
+    } catch (err) {
+      throw new Error(`Migration ${migration.name} failed: ${err.message}`);
+    }
+    applied.push(migration.name);
+  }
+
+  const { version } = await getMigrationStatus(DB, migrations);
+  return { version, applied };
+}
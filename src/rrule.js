@@ -0,0 +1,276 @@
+// src/rrule.js
+// Subset of RFC 5545 recurrence rules used by recurring todos. Rules are
+// expanded in UTC from the todo's due_at (its DTSTART).
+//
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, COUNT, UNTIL,
+// BYDAY (with ordinals such as 1MO or -1FR for MONTHLY, and for YEARLY
+// together with BYMONTH), BYMONTHDAY, BYMONTH and WKST.
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop looking once this many periods in a row produce no occurrence, so
+// rules that can never match (e.g. BYMONTH=2;BYMONTHDAY=30) terminate. Large
+// enough for a DAILY rule that only matches on leap days.
+const MAX_EMPTY_PERIODS = 5000;
+
+/**
+ * Parses a comma separated list of integers
+ * @param {string} value - List such as 1,15,-1
+ * @param {number} min - Smallest allowed absolute value
+ * @param {number} max - Largest allowed absolute value
+ * @param {boolean} allowNegative - Whether values may count from the end
+ * @returns {number[]|null} Parsed values, or null if any value is invalid
+ */
+function parseIntList(value, min, max, allowNegative) {
+  const values = value.split(",").map((part) => (/^[+-]?\d+$/.test(part) ? parseInt(part, 10) : NaN));
+  const valid = values.every(
+    (number) => !isNaN(number) && Math.abs(number) >= min && Math.abs(number) <= max && (allowNegative || number > 0)
+  );
+  return valid ? values : null;
+}
+
+/**
+ * Parses an UNTIL value in DATE or UTC DATE-TIME form
+ * @param {string} value - Value such as 20250131 or 20250131T090000Z
+ * @returns {Date|null} Parsed date, or null if the value is invalid
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hours = "23", minutes = "59", seconds = "59"] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+  return date.getUTCMonth() === +month - 1 && date.getUTCDate() === +day ? date : null;
+}
+
+/**
+ * Formats a date as an UNTIL value
+ * @param {Date} date - Date to format
+ * @returns {string} UTC DATE-TIME such as 20250131T090000Z
+ */
+function formatUntil(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Parses and validates a recurrence rule
+ * @param {string} text - Rule such as FREQ=WEEKLY;BYDAY=MO,TH (an RRULE: prefix is allowed)
+ * @returns {Object} Validation result with the parsed rule and error
+ */
+export function parseRRule(text) {
+  if (typeof text !== "string" || !text.trim()) return { rule: null, error: "RRULE must be a non-empty string" };
+
+  const rule = { interval: 1 };
+  const seen = new Set();
+  const body = text.trim().replace(/^RRULE:/i, "");
+  for (const part of body.split(";")) {
+    const [rawName, value, ...rest] = part.split("=");
+    const name = rawName.toUpperCase();
+    if (!value || rest.length > 0) return { rule: null, error: `Malformed RRULE part: ${part}` };
+    if (seen.has(name)) return { rule: null, error: `Duplicate RRULE part: ${name}` };
+    seen.add(name);
+    const key = name.toLowerCase();
+
+    const upper = value.toUpperCase();
+    switch (name) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(upper)) return { rule: null, error: `Unsupported FREQ: ${value}` };
+        rule.freq = upper;
+        break;
+      case "INTERVAL":
+      case "COUNT": {
+        if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) return { rule: null, error: `Invalid ${name}: ${value}` };
+        rule[key] = parseInt(value, 10);
+        break;
+      }
+      case "UNTIL":
+        rule.until = parseUntil(upper);
+        if (!rule.until) return { rule: null, error: `Invalid UNTIL: ${value}` };
+        break;
+      case "BYDAY": {
+        const days = upper.split(",").map((day) => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day));
+        if (days.some((match) => !match || (match[1] && (Math.abs(+match[1]) < 1 || Math.abs(+match[1]) > 53))))
+          return { rule: null, error: `Invalid BYDAY: ${value}` };
+        rule.byday = days.map((match) => ({ ordinal: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAYS.indexOf(match[2]) }));
+        break;
+      }
+      case "BYMONTHDAY":
+        rule.bymonthday = parseIntList(value, 1, 31, true);
+        if (!rule.bymonthday) return { rule: null, error: `Invalid BYMONTHDAY: ${value}` };
+        break;
+      case "BYMONTH":
+        rule.bymonth = parseIntList(value, 1, 12, false);
+        if (!rule.bymonth) return { rule: null, error: `Invalid BYMONTH: ${value}` };
+        break;
+      case "WKST":
+        if (!WEEKDAYS.includes(upper)) return { rule: null, error: `Invalid WKST: ${value}` };
+        rule.wkst = WEEKDAYS.indexOf(upper);
+        break;
+      default:
+        return { rule: null, error: `Unsupported RRULE part: ${name}` };
+    }
+  }
+
+  if (!rule.freq) return { rule: null, error: "RRULE requires FREQ" };
+  if (rule.count && rule.until) return { rule: null, error: "RRULE cannot have both COUNT and UNTIL" };
+  if (rule.bymonthday && rule.freq === "WEEKLY") return { rule: null, error: "BYMONTHDAY cannot be used with FREQ=WEEKLY" };
+  if (rule.byday?.some((day) => day.ordinal)) {
+    if (rule.freq === "DAILY" || rule.freq === "WEEKLY")
+      return { rule: null, error: `BYDAY ordinals cannot be used with FREQ=${rule.freq}` };
+    if (rule.freq === "YEARLY" && !rule.bymonth)
+      return { rule: null, error: "BYDAY ordinals with FREQ=YEARLY require BYMONTH" };
+  }
+
+  return { rule, error: null };
+}
+
+/**
+ * Formats a parsed rule back to its canonical text form
+ * @param {Object} rule - Rule returned by parseRRule
+ * @returns {string} Rule such as FREQ=WEEKLY;INTERVAL=2;BYDAY=MO
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  if (rule.byday) parts.push(`BYDAY=${rule.byday.map((day) => (day.ordinal || "") + WEEKDAYS[day.weekday]).join(",")}`);
+  if (rule.bymonthday) parts.push(`BYMONTHDAY=${rule.bymonthday.join(",")}`);
+  if (rule.bymonth) parts.push(`BYMONTH=${rule.bymonth.join(",")}`);
+  if (rule.wkst !== undefined) parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+  return parts.join(";");
+}
+
+/**
+ * Lists the days of a month matching the rule's BYMONTHDAY and BYDAY parts
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Full year
+ * @param {number} month - Zero based month
+ * @param {number} defaultDay - Day of month used when neither part is present
+ * @returns {number[]} Matching days of the month
+ */
+function daysInMonth(rule, year, month, defaultDay) {
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const all = Array.from({ length }, (_, index) => index + 1);
+  const weekdayOf = (day) => new Date(Date.UTC(year, month, day)).getUTCDay();
+
+  let days = rule.bymonthday || rule.byday ? all : [defaultDay].filter((day) => day <= length);
+  if (rule.bymonthday) {
+    const wanted = rule.bymonthday.map((day) => (day > 0 ? day : length + day + 1));
+    days = days.filter((day) => wanted.includes(day));
+  }
+  if (rule.byday) {
+    days = days.filter((day) =>
+      rule.byday.some(({ ordinal, weekday }) => {
+        if (weekdayOf(day) !== weekday) return false;
+        if (!ordinal) return true;
+        const nth = ordinal > 0 ? Math.ceil(day / 7) : -Math.ceil((length - day + 1) / 7);
+        return nth === ordinal;
+      })
+    );
+  }
+  return days;
+}
+
+/**
+ * Lists the candidate dates of one period, in order
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - DTSTART
+ * @param {number} index - Period number counted from DTSTART's period
+ * @returns {Date[]} Candidates, before the DTSTART, COUNT and UNTIL checks
+ */
+function periodCandidates(rule, start, index) {
+  const step = index * rule.interval;
+  const timeOfDay = start.getTime() - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const at = (year, month, day) => new Date(Date.UTC(year, month, day) + timeOfDay);
+  const inMonth = (date) => !rule.bymonth || rule.bymonth.includes(date.getUTCMonth() + 1);
+
+  if (rule.freq === "DAILY") {
+    const date = new Date(start.getTime() + step * DAY_MS);
+    const dayMatches = !rule.byday || rule.byday.some((day) => day.weekday === date.getUTCDay());
+    const monthDayMatches =
+      !rule.bymonthday ||
+      daysInMonth({ bymonthday: rule.bymonthday }, date.getUTCFullYear(), date.getUTCMonth(), 0).includes(date.getUTCDate());
+    return dayMatches && monthDayMatches && inMonth(date) ? [date] : [];
+  }
+
+  if (rule.freq === "WEEKLY") {
+    const wkst = rule.wkst ?? 1;
+    const weekStart = new Date(start.getTime() - ((start.getUTCDay() - wkst + 7) % 7) * DAY_MS + step * 7 * DAY_MS);
+    const weekdays = rule.byday ? rule.byday.map((day) => day.weekday) : [start.getUTCDay()];
+    return weekdays
+      .map((weekday) => new Date(weekStart.getTime() + ((weekday - wkst + 7) % 7) * DAY_MS))
+      .filter(inMonth)
+      .sort((a, b) => a - b);
+  }
+
+  const months = [];
+  if (rule.freq === "MONTHLY") {
+    const month = start.getUTCMonth() + step;
+    months.push([start.getUTCFullYear() + Math.floor(month / 12), month % 12]);
+  } else {
+    const year = start.getUTCFullYear() + step;
+    const byMonth = rule.bymonth ?? (rule.bymonthday || rule.byday ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.getUTCMonth() + 1]);
+    for (const month of [...byMonth].sort((a, b) => a - b)) months.push([year, month - 1]);
+  }
+
+  return months
+    .filter(([, month]) => !rule.bymonth || rule.bymonth.includes(month + 1))
+    .flatMap(([year, month]) => daysInMonth(rule, year, month, start.getUTCDate()).map((day) => at(year, month, day)));
+}
+
+/**
+ * Yields the occurrences of a rule in order, starting at DTSTART.
+ * Like RFC 5545, DTSTART counts as the first occurrence only if it matches the rule.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - DTSTART
+ * @yields {Date} Occurrence
+ */
+function* occurrences(rule, start) {
+  let produced = 0;
+  let emptyPeriods = 0;
+  for (let index = 0; emptyPeriods < MAX_EMPTY_PERIODS; index++) {
+    const candidates = periodCandidates(rule, start, index).filter((date) => date >= start);
+    emptyPeriods = candidates.length === 0 ? emptyPeriods + 1 : 0;
+    for (const date of candidates) {
+      if (rule.until && date > rule.until) return;
+      yield date;
+      produced++;
+      if (rule.count && produced >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * Lists occurrences of a rule within a time range
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - DTSTART
+ * @param {Object} range - Inclusive range { from, to } and maximum number of results
+ * @returns {Date[]} Occurrences in order
+ */
+export function expandRRule(rule, start, { from, to, limit }) {
+  const results = [];
+  for (const date of occurrences(rule, start)) {
+    if (date > to || results.length >= limit) break;
+    if (date >= from) results.push(date);
+  }
+  return results;
+}
+
+/**
+ * Moves a series on to its next occurrence after DTSTART. The returned rule
+ * continues the series from that occurrence, with COUNT reduced by the
+ * occurrences already used up.
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - DTSTART
+ * @returns {Object|null} { date, rule } for the next occurrence, or null when the series has ended
+ */
+export function advanceRRule(rule, start) {
+  let used = 0;
+  for (const date of occurrences(rule, start)) {
+    if (date > start) return { date, rule: rule.count ? { ...rule, count: rule.count - used } : rule };
+    used++;
+  }
+  return null;
+}
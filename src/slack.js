@@ -0,0 +1,167 @@
+// src/slack.js
+// Slack slash command and interactive message support. Requests from Slack
+// are signed with the app's signing secret:
+//   X-Slack-Request-Timestamp: unix seconds
+//   X-Slack-Signature: v0=<hex HMAC-SHA256 of "v0:<timestamp>:<raw body>">
+// Replies are Block Kit messages (https://api.slack.com/block-kit) in which
+// each open todo carries a "Complete" button.
+import { timingSafeEqual } from "./auth.js";
+import { toHex } from "./encoding.js";
+
+export const COMPLETE_ACTION_ID = "complete_todo";
+// Slack recommends rejecting requests older than five minutes to stop replays
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+const RESPONSE_URL_PREFIX = "https://hooks.slack.com/";
+const STATUS_LABELS = {
+  incomplete: "Not started",
+  "in-progress": "In progress",
+  complete: "Complete",
+  archived: "Archived",
+};
+
+/**
+ * Verifies the signature Slack puts on every request
+ * @param {string} secret - SLACK_SIGNING_SECRET value
+ * @param {Object} request - timestamp and signature headers and the raw body
+ * @param {number} now - Current time in unix seconds
+ * @returns {Promise<Object>} Validation result with valid and error
+ */
+export async function verifySlackSignature(secret, { timestamp, signature, body }, now = Math.floor(Date.now() / 1000)) {
+  if (!timestamp || !signature) return { valid: false, error: "Missing Slack signature" };
+  if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS)
+    return { valid: false, error: "Stale Slack request" };
+
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+  ]);
+  const digest = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`v0:${timestamp}:${body}`));
+  if (!timingSafeEqual(`v0=${toHex(digest)}`, signature)) return { valid: false, error: "Invalid Slack signature" };
+  return { valid: true, error: null };
+}
+
+/**
+ * Parses the text after the slash command, e.g. "add Buy milk" or "list in-progress"
+ * @param {string} text - Command text
+ * @returns {Object} { command: "add", title }, { command: "list", status } or { command: "help" }
+ */
+export function parseSlashCommand(text) {
+  const [command = "", ...rest] = (text ?? "").trim().split(/\s+/);
+  const argument = rest.join(" ");
+  if (command.toLowerCase() === "add" && argument) return { command: "add", title: argument };
+  if (command.toLowerCase() === "list") return { command: "list", status: argument || undefined };
+  return { command: "help" };
+}
+
+/**
+ * Escapes the characters Slack's mrkdwn treats as control characters
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Formats one todo as a section block, with a "Complete" button when allowed
+ * @param {Object} todo - Todo with id, title, status and priority
+ * @param {boolean} canComplete - Whether the status workflow allows completing it
+ * @returns {Object} Section block
+ */
+function todoSection(todo, canComplete) {
+  const details = [STATUS_LABELS[todo.status] ?? todo.status, `${todo.priority} priority`];
+  if (todo.due_at) details.push(`due ${todo.due_at.slice(0, 10)}`);
+  const section = {
+    type: "section",
+    block_id: `todo-${todo.id}`,
+    text: { type: "mrkdwn", text: `*${escapeMrkdwn(todo.title)}*\n${details.join(" · ")}` },
+  };
+  if (canComplete)
+    section.accessory = {
+      type: "button",
+      action_id: COMPLETE_ACTION_ID,
+      text: { type: "plain_text", text: "Complete" },
+      style: "primary",
+      value: String(todo.id),
+    };
+  return section;
+}
+
+/**
+ * Builds a message that only the user who ran the command sees
+ * @param {string} text - Fallback text for notifications
+ * @param {Object[]} blocks - Block Kit blocks
+ * @returns {Object} Slack message
+ */
+function ephemeralMessage(text, blocks) {
+  return { response_type: "ephemeral", text, blocks };
+}
+
+/**
+ * Builds a plain text reply
+ * @param {string} text - Message text
+ * @returns {Object} Slack message
+ */
+export function textMessage(text) {
+  return ephemeralMessage(text, [{ type: "section", text: { type: "mrkdwn", text: escapeMrkdwn(text) } }]);
+}
+
+/**
+ * Builds the reply listing the slash command's usage
+ * @returns {Object} Slack message
+ */
+export function helpMessage() {
+  return ephemeralMessage("Usage: /todo add <title> or /todo list [status]", [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "`/todo add <title>` adds a todo\n`/todo list [status]` lists your todos (default: not started)",
+      },
+    },
+  ]);
+}
+
+/**
+ * Builds the reply to /todo add
+ * @param {Object} todo - Created todo
+ * @param {boolean} canComplete - Whether the todo can be completed
+ * @returns {Object} Slack message
+ */
+export function addedMessage(todo, canComplete) {
+  return ephemeralMessage(`Added: ${todo.title}`, [
+    { type: "context", elements: [{ type: "mrkdwn", text: "Added a todo" }] },
+    todoSection(todo, canComplete),
+  ]);
+}
+
+/**
+ * Builds a list of todos
+ * @param {Object[]} todos - Todos to show
+ * @param {Object} options - heading text, more (whether further todos were left out) and canComplete(todo)
+ * @returns {Object} Slack message
+ */
+export function listMessage(todos, { heading, more, canComplete }) {
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text: heading } }];
+  if (todos.length === 0) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: "No todos" }] });
+  for (const todo of todos) blocks.push(todoSection(todo, canComplete(todo)));
+  if (more) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: `Showing the first ${todos.length} todos` }] });
+  return ephemeralMessage(`${todos.length} todo(s)`, blocks);
+}
+
+/**
+ * Posts a message to the response_url of a slash command or interaction
+ * @param {string} url - response_url from Slack
+ * @param {Object} message - Slack message, e.g. with replace_original
+ * @param {Function} fetchFn - fetch implementation
+ * @returns {Promise<void>}
+ * @throws {Error} If the URL is not a Slack URL or Slack rejects the message
+ */
+export async function postSlackResponse(url, message, fetchFn = fetch) {
+  if (typeof url !== "string" || !url.startsWith(RESPONSE_URL_PREFIX)) throw new Error("Invalid Slack response_url");
+  const response = await fetchFn(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  if (!response.ok) throw new Error(`Slack response_url returned ${response.status}`);
+}
@@ -0,0 +1,46 @@
+// src/todotxt.js
+// Reads the todo.txt format (https://github.com/todotxt/todo.txt): one task
+// per line, such as
+//   x 2025-01-31 2025-01-20 Pay rent +home @bank due:2025-02-01
+//   (A) Call the plumber @phone
+// The fields it maps onto are those of a POST /todos body.
+
+// (A) is the most urgent todo.txt priority; anything after C counts as low
+const PRIORITIES = { A: "urgent", B: "high", C: "medium" };
+const DATE_PREFIX = /^\d{4}-\d{2}-\d{2}\s+/;
+
+/**
+ * Parses one todo.txt line. Completion ("x "), priority and the completion
+ * and creation dates come off the front; +project and @context words become
+ * tags and due:YYYY-MM-DD the due date. The remaining words are the title.
+ * @param {string} line - A non-empty todo.txt line
+ * @returns {Object} Todo fields: title and, when present, status, priority, due_at and tags
+ */
+export function parseTodoTxtLine(line) {
+  const todo = {};
+  let rest = line.trim();
+
+  if (/^x\s/.test(rest)) {
+    todo.status = "complete";
+    rest = rest.slice(1).trimStart().replace(DATE_PREFIX, "");
+  }
+
+  const priority = /^\(([A-Z])\)\s+/.exec(rest);
+  if (priority) {
+    todo.priority = PRIORITIES[priority[1]] ?? "low";
+    rest = rest.slice(priority[0].length);
+  }
+  rest = rest.replace(DATE_PREFIX, "");
+
+  const words = [];
+  const tags = [];
+  for (const word of rest.split(/\s+/)) {
+    if (/^[+@]\S+$/.test(word)) tags.push(word.slice(1));
+    else if (/^due:\d{4}-\d{2}-\d{2}$/.test(word)) todo.due_at = `${word.slice(4)}T00:00:00Z`;
+    else words.push(word);
+  }
+
+  todo.title = words.join(" ");
+  if (tags.length) todo.tags = tags;
+  return todo;
+}
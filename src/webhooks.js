@@ -0,0 +1,166 @@
+// src/webhooks.js
+// Outgoing webhook deliveries. Each delivery is a POST of the event as JSON,
+// signed with the webhook's secret:
+//   X-Webhook-Timestamp: unix seconds when the attempt was made
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Receivers recompute the signature and should reject stale timestamps.
+// A delivery is retried with exponential backoff until it gets a 2xx answer
+// or MAX_DELIVERY_ATTEMPTS attempts have failed. Deliveries are at least
+// once, so receivers should ignore events whose id they have already seen.
+import { base64UrlEncode, toHex } from "./encoding.js";
+
+export const WEBHOOK_EVENTS = ["todo.created", "todo.updated", "todo.deleted", "todo.completed"];
+const WEBHOOK_SECRET_PREFIX = "whsec_";
+export const MAX_DELIVERY_ATTEMPTS = 8;
+// 1, 2, 4, ... minutes between attempts, so the last retry is about 2 hours after the first attempt
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Host names that only resolve inside a private network
+const PRIVATE_HOST_SUFFIXES = ["localhost", "local", "internal", "lan", "home.arpa"];
+// IPv4 ranges that are not on the public internet, as [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, including cloud metadata endpoints
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3], // multicast and reserved
+];
+
+/**
+ * Generates a new random signing secret
+ * @returns {string} Secret such as whsec_3q2...
+ */
+export function generateWebhookSecret() {
+  return WEBHOOK_SECRET_PREFIX + base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Parses a dotted IPv4 address as serialized by the URL parser
+ * @param {string} address - Address such as 127.0.0.1
+ * @returns {number|null} Address as an unsigned 32-bit number, or null if it is not an IPv4 address
+ */
+function parseIPv4(address) {
+  const match = /^(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+  return match ? match.slice(1).reduce((value, octet) => value * 256 + Number(octet), 0) : null;
+}
+
+/**
+ * Checks whether an IPv4 address is outside the public internet
+ * @param {number} address - Address from parseIPv4
+ * @returns {boolean} True for loopback, link-local, private and reserved addresses
+ */
+function isPrivateIPv4(address) {
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => address >>> (32 - bits) === parseIPv4(network) >>> (32 - bits));
+}
+
+/**
+ * Checks whether an IPv6 address is outside the public internet. The URL
+ * parser has already compressed it and written any embedded IPv4 part in hex.
+ * @param {string} address - Address without brackets, such as ::1
+ * @returns {boolean} True for unspecified, loopback, unique local, link-local and multicast addresses
+ *   and for IPv4-mapped addresses of private IPv4 hosts
+ */
+function isPrivateIPv6(address) {
+  const [head, tail] = address.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill("0"), ...right];
+  const [first, ...rest] = groups.map((group) => parseInt(group, 16));
+
+  if (first === 0 && rest.slice(0, 4).every((group) => group === 0)) {
+    // ::, ::1, and ::ffff:a.b.c.d or ::a.b.c.d carrying an IPv4 address
+    if (rest[4] === 0 || rest[4] === 0xffff) return isPrivateIPv4(rest[5] * 0x10000 + rest[6]);
+    return true;
+  }
+  return (first & 0xfe00) === 0xfc00 || (first & 0xffc0) === 0xfe80 || (first & 0xff00) === 0xff00;
+}
+
+/**
+ * Checks whether a webhook host is on a private network, so deliveries cannot
+ * be pointed at the Worker's own infrastructure. Names are not resolved: a
+ * public name is accepted wherever its address points.
+ * @param {string} hostname - Host name as serialized by the URL parser
+ * @returns {boolean} True for local names and loopback, link-local and private addresses
+ */
+export function isPrivateHost(hostname) {
+  if (hostname.startsWith("[")) return isPrivateIPv6(hostname.slice(1, -1));
+  const ipv4 = parseIPv4(hostname);
+  if (ipv4 !== null) return isPrivateIPv4(ipv4);
+  const name = hostname.replace(/\.$/, "").toLowerCase();
+  return !name.includes(".") || PRIVATE_HOST_SUFFIXES.some((suffix) => name === suffix || name.endsWith(`.${suffix}`));
+}
+
+/**
+ * Signs a delivery body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds sent as X-Webhook-Timestamp
+ * @param {string} body - JSON body
+ * @returns {Promise<string>} Signature in the form sha256=<hex>
+ */
+export async function signWebhookPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+  ]);
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${timestamp}.${body}`));
+  return `sha256=${toHex(signature)}`;
+}
+
+/**
+ * Time to wait after a failed attempt before the next one
+ * @param {number} attempt - Number of the attempt that failed, from 1
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempt) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Decides what happens to a delivery after an attempt
+ * @param {number} attempt - Number of the attempt just made, from 1
+ * @param {number|null} responseStatus - HTTP status received, or null if the request failed
+ * @param {Date} now - Time of the attempt
+ * @returns {Object} New status (delivered, pending or failed) and next_attempt_at for pending deliveries
+ */
+export function deliveryOutcome(attempt, responseStatus, now) {
+  if (responseStatus !== null && responseStatus >= 200 && responseStatus < 300)
+    return { status: "delivered", next_attempt_at: null };
+  if (attempt >= MAX_DELIVERY_ATTEMPTS) return { status: "failed", next_attempt_at: null };
+  return { status: "pending", next_attempt_at: new Date(now.getTime() + retryDelay(attempt)).toISOString() };
+}
+
+/**
+ * Makes one delivery attempt. Redirects are not followed and count as failures.
+ * @param {Object} delivery - Delivery with id, event, payload and its webhook's url and secret
+ * @param {Date} now - Time of the attempt
+ * @param {Function} fetchFn - fetch implementation
+ * @returns {Promise<Object>} Attempt with response_status, error and duration_ms
+ */
+export async function sendWebhook(delivery, now = new Date(), fetchFn = fetch) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const started = Date.now();
+  try {
+    const response = await fetchFn(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "todos-webhooks/1",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery.id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": await signWebhookPayload(delivery.secret, timestamp, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    // Only the status matters; release the connection
+    await response.body?.cancel();
+    return { response_status: response.status, error: response.ok ? null : `HTTP ${response.status}`, duration_ms: Date.now() - started };
+  } catch (err) {
+    return { response_status: null, error: err.message || "Request failed", duration_ms: Date.now() - started };
+  }
+}
@@ -0,0 +1,88 @@
+// src/workflow.js
+// Status workflow for todos. Each named transition moves a todo from one of
+// its "from" statuses to its "to" status. POST /todos/:id/transitions runs a
+// transition by name; a plain status change through PUT or PATCH is allowed
+// when some transition connects the current status to the requested one.
+//
+// The graph can be replaced through the STATUS_TRANSITIONS variable, a JSON
+// object in the same shape as DEFAULT_TRANSITIONS.
+
+const STATUSES = ["incomplete", "in-progress", "complete", "archived"];
+const TRANSITION_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+export const DEFAULT_TRANSITIONS = {
+  start: { from: ["incomplete"], to: "in-progress" },
+  pause: { from: ["in-progress"], to: "incomplete" },
+  complete: { from: ["incomplete", "in-progress"], to: "complete" },
+  reopen: { from: ["complete"], to: "incomplete" },
+  archive: { from: ["incomplete", "in-progress", "complete"], to: "archived" },
+  unarchive: { from: ["archived"], to: "incomplete" },
+};
+
+/**
+ * Parses and validates a transition graph
+ * @param {string|undefined} text - JSON from STATUS_TRANSITIONS, or undefined for the default graph
+ * @returns {Object} Validation result with the transitions and error
+ */
+export function parseTransitions(text) {
+  if (text === undefined) return { transitions: DEFAULT_TRANSITIONS, error: null };
+
+  let graph;
+  try {
+    graph = JSON.parse(text);
+  } catch {
+    return { transitions: null, error: "STATUS_TRANSITIONS is not valid JSON" };
+  }
+  if (!graph || typeof graph !== "object" || Array.isArray(graph) || Object.keys(graph).length === 0)
+    return { transitions: null, error: "STATUS_TRANSITIONS must be a non-empty object" };
+
+  const transitions = {};
+  for (const [name, transition] of Object.entries(graph)) {
+    if (!TRANSITION_NAME_PATTERN.test(name)) return { transitions: null, error: `Invalid transition name: ${name}` };
+    const { from, to } = transition ?? {};
+    if (!Array.isArray(from) || from.length === 0 || !from.every((status) => STATUSES.includes(status)))
+      return { transitions: null, error: `Transition ${name} needs a non-empty from list of statuses` };
+    if (!STATUSES.includes(to)) return { transitions: null, error: `Transition ${name} has an invalid to status` };
+    if (from.includes(to)) return { transitions: null, error: `Transition ${name} cannot start from its to status` };
+    transitions[name] = { from: [...new Set(from)], to };
+  }
+  return { transitions, error: null };
+}
+
+/**
+ * Lists the statuses a todo may move to from its current status
+ * @param {Object} transitions - Graph from parseTransitions
+ * @param {string} status - Current status
+ * @returns {string[]} Reachable statuses, in STATUSES order
+ */
+export function nextStatuses(transitions, status) {
+  const reachable = Object.values(transitions)
+    .filter((transition) => transition.from.includes(status))
+    .map((transition) => transition.to);
+  return STATUSES.filter((candidate) => reachable.includes(candidate));
+}
+
+/**
+ * Lists the statuses from which a todo may move to a status, including the
+ * status itself since keeping the current status is always allowed
+ * @param {Object} transitions - Graph from parseTransitions
+ * @param {string} status - Requested status
+ * @returns {string[]} Statuses an update to status may start from
+ */
+export function sourceStatuses(transitions, status) {
+  const sources = new Set([status]);
+  for (const transition of Object.values(transitions)) {
+    if (transition.to === status) transition.from.forEach((from) => sources.add(from));
+  }
+  return STATUSES.filter((candidate) => sources.has(candidate));
+}
+
+/**
+ * Lists the names of the transitions that can run from a status
+ * @param {Object} transitions - Graph from parseTransitions
+ * @param {string} status - Current status
+ * @returns {string[]} Transition names
+ */
+export function availableTransitions(transitions, status) {
+  return Object.keys(transitions).filter((name) => transitions[name].from.includes(status));
+}
@@ -0,0 +1,102 @@
+import { expect } from "chai";
+import {
+  API_KEY_PREFIX,
+  authenticate,
+  generateApiKey,
+  hashApiKey,
+  requiredScope,
+  signToken,
+  timingSafeEqual,
+  verifyToken,
+} from "../src/auth.js";
+
+const SECRET = "test-secret";
+
+describe("🔐 Authentication", () => {
+  it("timingSafeEqual → should compare strings", () => {
+    expect(timingSafeEqual("abc", "abc")).to.be.true;
+    expect(timingSafeEqual("abc", "abd")).to.be.false;
+    expect(timingSafeEqual("abc", "abcd")).to.be.false;
+    expect(timingSafeEqual(undefined, "abc")).to.be.false;
+  });
+
+  it("generateApiKey → should return unique prefixed keys", () => {
+    const first = generateApiKey();
+    expect(first.startsWith(API_KEY_PREFIX)).to.be.true;
+    expect(first).to.not.equal(generateApiKey());
+  });
+
+  it("hashApiKey → should return a stable SHA-256 hex digest", async () => {
+    const hash = await hashApiKey("todo_example");
+    expect(hash).to.match(/^[0-9a-f]{64}$/);
+    expect(await hashApiKey("todo_example")).to.equal(hash);
+  });
+
+  it("verifyToken → should accept a token it signed", async () => {
+    const token = await signToken({ sub: "alice", scope: "todos:read" }, SECRET);
+    const { claims, error } = await verifyToken(token, SECRET);
+    expect(error).to.be.null;
+    expect(claims).to.include({ sub: "alice", scope: "todos:read" });
+  });
+
+  it("verifyToken → should reject tampered, foreign and expired tokens", async () => {
+    const token = await signToken({ sub: "alice", exp: 100 }, SECRET);
+    const [, signature] = token.split(".");
+    const forged = `${Buffer.from(JSON.stringify({ sub: "mallory" })).toString("base64url")}.${signature}`;
+
+    expect((await verifyToken(forged, SECRET)).error).to.equal("Invalid token signature");
+    expect((await verifyToken(token, "other-secret")).error).to.equal("Invalid token signature");
+    expect((await verifyToken(token, SECRET, 100)).error).to.equal("Token expired");
+    expect((await verifyToken(token, SECRET, 99)).error).to.be.null;
+    expect((await verifyToken("not-a-token", SECRET)).error).to.equal("Malformed token");
+    expect((await verifyToken("a.b.c", SECRET)).error).to.equal("Malformed token");
+  });
+
+  it("verifyToken → should require a subject", async () => {
+    const token = await signToken({ scope: "todos:read" }, SECRET);
+    expect((await verifyToken(token, SECRET)).error).to.equal("Token has no subject");
+  });
+
+  it("authenticate → should resolve API keys through their hash", async () => {
+    const key = generateApiKey();
+    const keyHash = await hashApiKey(key);
+    const findApiKey = async (hash) => ({
+      results: hash === keyHash ? [{ id: 7, principal: "bob", scopes: "todos:read", revoked_at: null }] : [],
+    });
+
+    const request = new Request("http://localhost/todos", { headers: { "X-API-Key": key } });
+    const { principal } = await authenticate(request, {}, findApiKey);
+    expect(principal).to.deep.equal({ type: "api_key", id: "bob", keyId: 7, scopes: ["todos:read"] });
+
+    const unknown = new Request("http://localhost/todos", { headers: { "X-API-Key": "todo_unknown" } });
+    expect(await authenticate(unknown, {}, findApiKey)).to.include({ principal: null, status: 401, error: "Invalid API key" });
+  });
+
+  it("authenticate → should reject revoked API keys", async () => {
+    const findApiKey = async () => ({ results: [{ id: 1, principal: "bob", scopes: "todos:read", revoked_at: "2025-01-01T00:00:00.000Z" }] });
+    const request = new Request("http://localhost/todos", { headers: { "X-API-Key": "todo_revoked" } });
+    expect(await authenticate(request, {}, findApiKey)).to.include({ status: 401, error: "API key revoked" });
+  });
+
+  it("authenticate → should resolve bearer tokens", async () => {
+    const token = await signToken({ sub: "carol", scope: "todos:read todos:write" }, SECRET);
+    const request = new Request("http://localhost/todos", { headers: { Authorization: `Bearer ${token}` } });
+    const { principal } = await authenticate(request, { AUTH_TOKEN_SECRET: SECRET });
+    expect(principal).to.deep.equal({ type: "token", id: "carol", scopes: ["todos:read", "todos:write"] });
+  });
+
+  it("authenticate → should fail without credentials or token secret", async () => {
+    const anonymous = new Request("http://localhost/todos");
+    expect(await authenticate(anonymous, {})).to.include({ status: 401, error: "Authentication required" });
+
+    const bearer = new Request("http://localhost/todos", { headers: { Authorization: "Bearer x.y" } });
+    expect(await authenticate(bearer, {})).to.include({ status: 401, error: "Bearer tokens are not enabled" });
+  });
+
+  it("requiredScope → should map methods to scopes", () => {
+    expect(requiredScope("GET")).to.equal("todos:read");
+    expect(requiredScope("HEAD")).to.equal("todos:read");
+    expect(requiredScope("POST")).to.equal("todos:write");
+    expect(requiredScope("DELETE")).to.equal("todos:write");
+  });
+});
@@ -0,0 +1,33 @@
+import { expect } from "chai";
+import { formatCsvField, formatCsvRecord, parseCsv } from "../src/csv.js";
+
+describe("📄 CSV", () => {
+  it("formatCsvField → should quote only fields that need it", () => {
+    expect(formatCsvField("plain")).to.equal("plain");
+    expect(formatCsvField(42)).to.equal("42");
+    expect(formatCsvField(null)).to.equal("");
+    expect(formatCsvField("a,b")).to.equal('"a,b"');
+    expect(formatCsvField('say "hi"')).to.equal('"say ""hi"""');
+    expect(formatCsvField("line\r\nbreak")).to.equal('"line\r\nbreak"');
+  });
+
+  it("formatCsvRecord → should join fields and end with CRLF", () => {
+    expect(formatCsvRecord([1, "Buy milk, eggs", undefined])).to.equal('1,"Buy milk, eggs",\r\n');
+  });
+
+  it("parseCsv → should read quoted fields, line breaks and both line endings", () => {
+    const { records, error } = parseCsv('title,description\r\n"Buy milk, eggs","Say ""hi""\nthen leave"\n\nPlain,\n');
+    expect(error).to.be.null;
+    expect(records).to.deep.equal([
+      { line: 1, fields: ["title", "description"] },
+      { line: 2, fields: ["Buy milk, eggs", 'Say "hi"\nthen leave'] },
+      { line: 5, fields: ["Plain", ""] },
+    ]);
+  });
+
+  it("parseCsv → should round-trip formatted records and reject unterminated quotes", () => {
+    const values = ["a,b", 'c"d', "e\r\nf", ""];
+    expect(parseCsv(formatCsvRecord(values)).records[0].fields).to.deep.equal(values);
+    expect(parseCsv('title\n"open').error).to.equal("Unterminated quoted field starting on line 2");
+  });
+});
@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { getPlatformProxy } from "wrangler";
+import app, { authLayer } from "../src/index.js";
+import {
+  insertTodo,
+  insertWebhook,
+  moveTodo,
+  patchTodo,
+  queueWebhookDeliveries,
+  rollUpCompletion,
+  runTodoBatch,
+} from "../src/db.js";
+import { applyMigrations } from "../src/migrations.js";
+
+describe("🗃️ Database layer on a local D1 database", function () {
+  // Starting workerd takes a moment
+  this.timeout(20000);
+  let proxy;
+  let DB;
+
+  beforeEach(async () => {
+    proxy = await getPlatformProxy({ persist: false, remoteBindings: false });
+    DB = proxy.env.DB;
+    await applyMigrations(DB);
+    await DB.prepare("INSERT INTO users (external_id, created_at) VALUES ('alice', '2025-01-01T00:00:00.000Z')").run();
+    await runTodoBatch(DB, 1, [{ op: "create", todo: { title: "Buy milk" } }]);
+  });
+
+  afterEach(() => proxy.dispose());
+
+  it("runTodoBatch → should roll an atomic batch back when a write matches no row", async () => {
+    const batch = await runTodoBatch(
+      DB,
+      1,
+      [
+        { op: "update", id: 1, fields: { title: "Buy oat milk" } },
+        { op: "delete", id: 99 },
+      ],
+      { atomic: true }
+    );
+
+    expect(batch).to.deep.equal({ results: [], rolledBack: true, failedOperation: 1 });
+    const todo = await DB.prepare("SELECT title FROM todos WHERE id = 1").first();
+    expect(todo.title).to.equal("Buy milk");
+  });
+
+  it("runTodoBatch → should name an operation that an earlier one made fail", async () => {
+    const batch = await runTodoBatch(
+      DB,
+      1,
+      [
+        { op: "create", todo: { title: "Walk dog" } },
+        { op: "update", id: 1, fields: { title: "Buy oat milk" }, version: 1 },
+        { op: "update", id: 1, fields: { title: "Buy soy milk" }, version: 1 },
+        { op: "delete", id: 1 },
+      ],
+      { atomic: true }
+    );
+
+    expect(batch.failedOperation).to.equal(2);
+    const { results } = await DB.prepare("SELECT title, version FROM todos").all();
+    expect(results).to.deep.equal([{ title: "Buy milk", version: 1 }]);
+  });
+
+  it("runTodoBatch → should rethrow other errors from an atomic batch", async () => {
+    try {
+      await runTodoBatch(
+        DB,
+        1,
+        [
+          { op: "update", id: 1, fields: { title: "Buy oat milk" } },
+          { op: "create", todo: { title: "Unlisted", list_id: 99 } },
+        ],
+        { atomic: true }
+      );
+      expect.fail("runTodoBatch should have thrown");
+    } catch (err) {
+      expect(err.message).to.match(/FOREIGN KEY constraint failed/);
+    }
+    const todo = await DB.prepare("SELECT title FROM todos WHERE id = 1").first();
+    expect(todo.title).to.equal("Buy milk");
+  });
+
+  it("patchTodo → should write only the fields it is given", async () => {
+    await DB.prepare("UPDATE todos SET description = 'Semi-skimmed' WHERE id = 1").run();
+
+    const { results } = await patchTodo(DB, 1, 1, { status: "complete" }, { fromStatuses: ["incomplete", "in-progress"] });
+    const again = await patchTodo(DB, 1, 1, { status: "complete" }, { fromStatuses: ["incomplete", "in-progress"] });
+
+    expect(results[0]).to.include({ title: "Buy milk", description: "Semi-skimmed", status: "complete", version: 2 });
+    expect(results[0].completed_at).to.equal(results[0].updated_at);
+    expect(again.results).to.be.empty;
+  });
+
+  it("moveTodo → should bump the versions it changes so a PUT from before the move gets 409", async () => {
+    sinon.stub(authLayer, "authenticate").resolves({
+      principal: { type: "token", id: "alice", scopes: ["todos:read", "todos:write"] },
+      error: null,
+      status: null,
+    });
+    await insertTodo(DB, 1, { title: "Walk dog" });
+    await insertTodo(DB, 1, { title: "Feed cat" });
+    // No position fits between the first two todos, so the move renumbers them all
+    await DB.prepare("UPDATE todos SET position = ? WHERE id = 2").bind(1 + Number.EPSILON).run();
+    await DB.prepare("UPDATE todos SET position = 1 WHERE id = 1").run();
+
+    const { results } = await moveTodo(DB, 1, 3, { after: 1 });
+    const stale = await Promise.all(
+      [2, 3].map((id) =>
+        app.fetch(new Request(`http://localhost/todos/${id}`, { method: "PUT", body: JSON.stringify({ title: "Stale", version: 1 }) }), { DB })
+      )
+    );
+    sinon.restore();
+
+    expect(results[0].version).to.be.above(1);
+    expect(stale.map((res) => res.status)).to.deep.equal([409, 409]);
+    const { results: todos } = await DB.prepare("SELECT title, version FROM todos ORDER BY position").all();
+    expect(todos.map((todo) => [todo.title, todo.version])).to.deep.equal([
+      ["Buy milk", 1],
+      ["Feed cat", results[0].version],
+      ["Walk dog", 2],
+    ]);
+  });
+
+  it("rollUpCompletion → should return the parents it changed", async () => {
+    const { results: parents } = await insertTodo(DB, 1, { title: "Move house", parent_id: 1 });
+    const { results: children } = await insertTodo(DB, 1, { title: "Pack", parent_id: parents[0].id });
+    await patchTodo(DB, 1, children[0].id, { status: "complete" });
+
+    const changed = await rollUpCompletion(DB, 1, parents[0].id);
+    const again = await rollUpCompletion(DB, 1, parents[0].id);
+
+    // "Move house" is the only subtask of "Buy milk", so both are completed
+    expect(changed.map((todo) => [todo.id, todo.status])).to.deep.equal([
+      [parents[0].id, "complete"],
+      [1, "complete"],
+    ]);
+    expect(changed[0].completed_at).to.equal(changed[0].updated_at);
+    expect(again).to.be.empty;
+  });
+
+  it("queueWebhookDeliveries → should queue each event for the webhooks subscribed to it", async () => {
+    await insertWebhook(DB, 1, { url: "https://example.com/hook", events: "todo.created todo.completed", secret: "whsec_test" });
+
+    const results = await queueWebhookDeliveries(
+      DB,
+      1,
+      [
+        { event: "todo.created", payload: "{}" },
+        { event: "todo.deleted", payload: "{}" },
+      ],
+      "2025-01-31T09:00:00.000Z"
+    );
+
+    expect(results.map((result) => result.results.length)).to.deep.equal([1, 0]);
+  });
+});
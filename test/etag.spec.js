@@ -0,0 +1,31 @@
+import { expect } from "chai";
+import { computeETag, ifMatch, ifNoneMatch, parseETagList } from "../src/etag.js";
+
+describe("🏷️ Entity tags", () => {
+  it("computeETag → should be stable and change with the content", async () => {
+    const etag = await computeETag({ id: 1, version: 2 });
+    expect(etag).to.match(/^"[A-Za-z0-9_-]{43}"$/);
+    expect(await computeETag({ id: 1, version: 2 })).to.equal(etag);
+    expect(await computeETag({ id: 1, version: 3 })).to.not.equal(etag);
+  });
+
+  it("parseETagList → should parse lists, weak tags and *", () => {
+    expect(parseETagList(' "a", W/"b" ')).to.deep.equal([
+      { weak: false, tag: '"a"' },
+      { weak: true, tag: '"b"' },
+    ]);
+    expect(parseETagList(" * ")).to.equal("*");
+  });
+
+  it("ifMatch → should use the strong comparison", () => {
+    expect(ifMatch('"x", "a"', '"a"')).to.be.true;
+    expect(ifMatch('W/"a"', '"a"')).to.be.false;
+    expect(ifMatch("*", '"a"')).to.be.true;
+    expect(ifMatch("*", null)).to.be.false;
+  });
+
+  it("ifNoneMatch → should use the weak comparison", () => {
+    expect(ifNoneMatch('W/"a"', '"a"')).to.be.true;
+    expect(ifNoneMatch('"b"', '"a"')).to.be.false;
+  });
+});
@@ -0,0 +1,106 @@
+import { expect } from "chai";
+import { escapeText, foldLine, formatVTodo, parseDateTime, parseVTodos, unescapeText } from "../src/ical.js";
+
+describe("📅 iCalendar", () => {
+  const todo = {
+    id: 7,
+    title: "Buy milk, eggs; bread",
+    description: "Line one\nLine two",
+    status: "in-progress",
+    priority: "urgent",
+    due_at: "2025-02-01T09:00:00.000Z",
+    remind_at: "2025-02-01T08:30:00.000Z",
+    rrule: "FREQ=WEEKLY",
+    tags: ["home", "errands"],
+    created_at: "2025-01-20T10:00:00.000Z",
+    updated_at: "2025-01-21T11:30:00.000Z",
+    completed_at: null,
+  };
+
+  it("escapeText / unescapeText → should round-trip special characters", () => {
+    expect(escapeText("a\\b;c,d\ne")).to.equal("a\\\\b\\;c\\,d\\ne");
+    expect(unescapeText("a\\\\b\\;c\\,d\\ne\\Nf")).to.equal("a\\b;c,d\ne\nf");
+  });
+
+  it("foldLine → should fold at 75 octets without splitting UTF-8 sequences", () => {
+    const folded = foldLine("SUMMARY:" + "é".repeat(60));
+    const lines = folded.split("\r\n").filter(Boolean);
+
+    expect(lines.every((line) => new TextEncoder().encode(line).length <= 75)).to.be.true;
+    expect(lines.slice(1).every((line) => line.startsWith(" "))).to.be.true;
+    expect(lines.map((line, index) => (index ? line.slice(1) : line)).join("")).to.equal("SUMMARY:" + "é".repeat(60));
+  });
+
+  it("parseDateTime → should read DATE and DATE-TIME values as UTC", () => {
+    expect(parseDateTime("20250131T090000Z")).to.equal("2025-01-31T09:00:00.000Z");
+    expect(parseDateTime("20250131")).to.equal("2025-01-31T00:00:00.000Z");
+    expect(parseDateTime("20250231")).to.be.null;
+    expect(parseDateTime("tomorrow")).to.be.null;
+  });
+
+  it("formatVTodo → should map status, priority, dates, tags and reminders", () => {
+    const text = formatVTodo(todo, "example.com");
+
+    expect(text.startsWith("BEGIN:VTODO\r\nUID:todo-7@example.com\r\nDTSTAMP:20250121T113000Z\r\n")).to.be.true;
+    expect(text).to.include("SUMMARY:Buy milk\\, eggs\\; bread\r\n");
+    expect(text).to.include("DESCRIPTION:Line one\\nLine two\r\n");
+    expect(text).to.include("STATUS:IN-PROCESS\r\nPRIORITY:1\r\nDUE:20250201T090000Z\r\nRRULE:FREQ=WEEKLY\r\n");
+    expect(text).to.include("CATEGORIES:home,errands\r\n");
+    expect(text).to.include("TRIGGER;VALUE=DATE-TIME:20250201T083000Z\r\n");
+    expect(text).not.to.include("COMPLETED:");
+    expect(text.endsWith("END:VALARM\r\nEND:VTODO\r\n")).to.be.true;
+  });
+
+  it("parseVTodos → should read back what formatVTodo writes", () => {
+    const text = "BEGIN:VCALENDAR\r\nVERSION:2.0\r\n" + formatVTodo({ ...todo, title: "x".repeat(100) }, "example.com") + "END:VCALENDAR\r\n";
+    const { todos, error } = parseVTodos(text);
+
+    expect(error).to.be.null;
+    expect(todos).to.deep.equal([
+      {
+        line: 3,
+        fields: {
+          title: "x".repeat(100),
+          description: "Line one\nLine two",
+          status: "in-progress",
+          priority: "urgent",
+          due_at: "2025-02-01T09:00:00.000Z",
+          rrule: "FREQ=WEEKLY",
+          tags: ["home", "errands"],
+          remind_at: "2025-02-01T08:30:00.000Z",
+        },
+      },
+    ]);
+  });
+
+  it("parseVTodos → should skip other components and pass unknown values through", () => {
+    const text = [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "SUMMARY:Meeting",
+      "END:VEVENT",
+      "BEGIN:VTODO",
+      'SUMMARY;ALTREP="cid:part1.0001@example.org":Water plants',
+      "STATUS:DONE",
+      "PRIORITY:0",
+      "DUE;VALUE=DATE:20250301",
+      "BEGIN:VALARM",
+      "TRIGGER:-PT15M",
+      "END:VALARM",
+      "END:VTODO",
+      "END:VCALENDAR",
+    ].join("\n");
+
+    expect(parseVTodos(text)).to.deep.equal({
+      todos: [{ line: 5, fields: { title: "Water plants", status: "DONE", due_at: "2025-03-01T00:00:00.000Z" } }],
+      error: null,
+    });
+  });
+
+  it("parseVTodos → should reject files that are not well-formed calendars", () => {
+    expect(parseVTodos("BEGIN:VTODO\r\nEND:VTODO\r\n").error).to.match(/Not an iCalendar file/);
+    expect(parseVTodos("BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nEND:VCALENDAR\r\n").error).to.equal("Unexpected END:VCALENDAR on line 3");
+    expect(parseVTodos("BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\n").error).to.equal("Missing END:VTODO");
+    expect(parseVTodos("BEGIN:VCALENDAR\r\nnonsense\r\nEND:VCALENDAR").error).to.equal("Invalid content line on line 2");
+  });
+});
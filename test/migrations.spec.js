@@ -0,0 +1,205 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { readdir } from "node:fs/promises";
+import { getPlatformProxy } from "wrangler";
+import { claimUnownedTodos } from "../src/db.js";
+import {
+  MIGRATIONS,
+  applyMigrations,
+  getMigrationStatus,
+  migrationVersion,
+  splitStatements,
+} from "../src/migrations.js";
+
+/**
+ * Builds a fake D1 binding whose tracking table already holds `applied`
+ */
+function fakeDB(applied = []) {
+  const prepared = [];
+  const DB = {
+    prepare: sinon.spy((sql) => {
+      const statement = {
+        sql,
+        params: [],
+        bind: (...params) => {
+          statement.params = params;
+          return statement;
+        },
+        run: sinon.stub().resolves({ success: true }),
+        all: sinon.stub().resolves({ results: applied.map((name) => ({ name })) }),
+      };
+      prepared.push(statement);
+      return statement;
+    }),
+    batch: sinon.stub().callsFake(async (statements) => {
+      for (const statement of statements) {
+        if (statement.sql.startsWith("INSERT INTO d1_migrations")) applied.push(statement.params[0]);
+      }
+      return statements.map(() => ({ success: true }));
+    }),
+  };
+  return { DB, prepared };
+}
+
+describe("🗄️ Schema migrations", () => {
+  afterEach(() => sinon.restore());
+
+  it("registers every file in migrations/ in version order", async () => {
+    const files = (await readdir(new URL("../migrations/", import.meta.url))).filter((file) => file.endsWith(".sql")).sort();
+    expect(MIGRATIONS.map((migration) => migration.name)).to.deep.equal(files);
+    for (const migration of MIGRATIONS) {
+      expect(migrationVersion(migration.name), migration.name).to.be.a("number");
+      expect(migration.sql).to.be.a("string").and.not.be.empty;
+    }
+  });
+
+  it("migrationVersion → should parse the numeric prefix", () => {
+    expect(migrationVersion("0012_add_tags.sql")).to.equal(12);
+    expect(migrationVersion("add_tags.sql")).to.be.null;
+    expect(migrationVersion("0012_add_tags.txt")).to.be.null;
+  });
+
+  it("splitStatements → should ignore comments and semicolons in strings", () => {
+    const sql = `-- header; comment
+      CREATE TABLE a (x TEXT DEFAULT 'a;b');
+      /* block; comment */
+      INSERT INTO a VALUES ("q;uoted");`;
+    expect(splitStatements(sql)).to.deep.equal([
+      "CREATE TABLE a (x TEXT DEFAULT 'a;b')",
+      'INSERT INTO a VALUES ("q;uoted")',
+    ]);
+  });
+
+  it("splitStatements → should keep trigger bodies together", () => {
+    const sql = `CREATE TRIGGER t AFTER INSERT ON a BEGIN
+        INSERT INTO b VALUES (1);
+        INSERT INTO b VALUES (2);
+      END;
+      SELECT 1;`;
+    const statements = splitStatements(sql);
+    expect(statements).to.have.length(2);
+    expect(statements[0]).to.match(/^CREATE TRIGGER[\s\S]*END$/);
+    expect(statements[1]).to.equal("SELECT 1");
+  });
+
+  it("applyMigrations → should run only pending migrations with their tracking row", async () => {
+    const migrations = [
+      { name: "0002_second.sql", sql: "CREATE TABLE b (id INTEGER); CREATE TABLE c (id INTEGER);" },
+      { name: "0001_first.sql", sql: "CREATE TABLE a (id INTEGER);" },
+    ];
+    const { DB } = fakeDB(["0001_first.sql"]);
+
+    const result = await applyMigrations(DB, migrations);
+
+    expect(result).to.deep.equal({ version: 2, applied: ["0002_second.sql"] });
+    expect(DB.batch.calledOnce).to.be.true;
+    const batched = DB.batch.firstCall.args[0].map((statement) => statement.sql);
+    expect(batched).to.deep.equal([
+      "CREATE TABLE b (id INTEGER)",
+      "CREATE TABLE c (id INTEGER)",
+      "INSERT INTO d1_migrations (name) VALUES (?)",
+    ]);
+  });
+
+  it("applyMigrations → should be a no-op when everything is applied", async () => {
+    const { DB } = fakeDB(MIGRATIONS.map((migration) => migration.name));
+
+    const result = await applyMigrations(DB);
+
+    expect(result.applied).to.be.empty;
+    expect(result.version).to.equal(MIGRATIONS.length);
+    expect(DB.batch.called).to.be.false;
+  });
+
+  it("applyMigrations → should name the migration that failed", async () => {
+    const { DB } = fakeDB();
+    DB.batch.rejects(new Error("duplicate column name"));
+
+    try {
+      await applyMigrations(DB, [{ name: "0001_first.sql", sql: "SELECT 1;" }]);
+      expect.fail("applyMigrations should have thrown");
+    } catch (err) {
+      expect(err.message).to.equal("Migration 0001_first.sql failed: duplicate column name");
+    }
+  });
+
+  it("getMigrationStatus → should report live version and pending migrations", async () => {
+    const { DB } = fakeDB(["0001_create_todos.sql"]);
+
+    const status = await getMigrationStatus(DB);
+
+    expect(status.version).to.equal(1);
+    expect(status.pending).to.deep.equal(MIGRATIONS.slice(1).map((migration) => migration.name));
+  });
+});
+
+describe("🗄️ Schema migrations on a local D1 database", function () {
+  // Starting workerd takes a moment
+  this.timeout(20000);
+  let proxy;
+  let DB;
+
+  beforeEach(async () => {
+    proxy = await getPlatformProxy({ persist: false, remoteBindings: false });
+    DB = proxy.env.DB;
+  });
+
+  afterEach(() => proxy.dispose());
+
+  it("applyMigrations → should upgrade a populated baseline database", async () => {
+    await applyMigrations(DB, MIGRATIONS.slice(0, 1));
+    await DB.batch([
+      DB.prepare("INSERT INTO todos (title, status) VALUES ('Legacy todo', 'incomplete')"),
+      DB.prepare("INSERT INTO todos (title, description, status) VALUES ('Legacy done', 'From before owners', 'complete')"),
+    ]);
+
+    const result = await applyMigrations(DB);
+
+    expect(result.applied).to.deep.equal(MIGRATIONS.slice(1).map((migration) => migration.name));
+    const { results: todos } = await DB.prepare("SELECT title, owner_id, created_at, completed_at FROM todos ORDER BY id").all();
+    expect(todos.map((todo) => [todo.title, todo.owner_id])).to.deep.equal([
+      ["Legacy todo", null],
+      ["Legacy done", null],
+    ]);
+    expect(todos[1].completed_at).to.equal(todos[1].created_at);
+    // Unowned todos get no history until they are assigned
+    await DB.batch([
+      DB.prepare("INSERT INTO todos (title, status) VALUES ('Unowned todo', 'incomplete')"),
+      DB.prepare("UPDATE todos SET title = 'Legacy todo, renamed' WHERE id = 1"),
+    ]);
+    const { results: events } = await DB.prepare("SELECT * FROM todo_events").all();
+    expect(events).to.be.empty;
+  });
+
+  it("claimUnownedTodos → should assign legacy todos with their created event", async () => {
+    await applyMigrations(DB, MIGRATIONS.slice(0, 1));
+    await DB.prepare("INSERT INTO todos (title, status) VALUES ('Legacy todo', 'incomplete')").run();
+    await applyMigrations(DB);
+    await DB.prepare("INSERT INTO users (external_id, created_at) VALUES ('alice', '2025-01-01T00:00:00.000Z')").run();
+
+    const result = await claimUnownedTodos(DB, 1);
+    const again = await claimUnownedTodos(DB, 1);
+
+    expect(result.meta.changes).to.equal(1);
+    expect(again.meta.changes).to.equal(0);
+    const todo = await DB.prepare("SELECT owner_id, created_at FROM todos").first();
+    expect(todo.owner_id).to.equal(1);
+    const { results: events } = await DB.prepare("SELECT owner_id, type, new_values, version, created_at FROM todo_events").all();
+    expect(events).to.have.length(1);
+    expect(events[0]).to.include({ owner_id: 1, type: "created", version: 1, created_at: todo.created_at });
+    expect(JSON.parse(events[0].new_values)).to.include({ title: "Legacy todo", status: "incomplete" });
+  });
+
+  it("history triggers → should record the fields a write changed", async () => {
+    await applyMigrations(DB);
+    await DB.prepare("INSERT INTO users (external_id, created_at) VALUES ('alice', '2025-01-01T00:00:00.000Z')").run();
+    await DB.prepare("INSERT INTO todos (title, status, owner_id) VALUES ('Buy milk', 'incomplete', 1)").run();
+    await DB.prepare("UPDATE todos SET title = 'Buy oat milk', status = 'complete', version = 2 WHERE id = 1").run();
+
+    const { results: events } = await DB.prepare("SELECT type, old_values, new_values, version FROM todo_events ORDER BY id").all();
+    expect(events.map((event) => event.type)).to.deep.equal(["created", "status_changed"]);
+    expect(JSON.parse(events[1].old_values)).to.deep.equal({ title: "Buy milk", status: "incomplete" });
+    expect(JSON.parse(events[1].new_values)).to.deep.equal({ title: "Buy oat milk", status: "complete" });
+    expect(events[1].version).to.equal(2);
+  });
+});
@@ -0,0 +1,72 @@
+import { expect } from "chai";
+import { advanceRRule, expandRRule, formatRRule, parseRRule } from "../src/rrule.js";
+
+/**
+ * Expands a rule from a start date and returns ISO strings
+ */
+function expand(text, start, limit = 5) {
+  const { rule, error } = parseRRule(text);
+  expect(error).to.be.null;
+  const from = new Date(start);
+  return expandRRule(rule, from, { from, to: new Date("2100-01-01T00:00:00Z"), limit }).map((date) => date.toISOString());
+}
+
+describe("🔁 Recurrence rules", () => {
+  it("parseRRule → should normalize a rule to canonical form", () => {
+    const { rule, error } = parseRRule("RRULE:freq=weekly;byday=mo,th;interval=2");
+    expect(error).to.be.null;
+    expect(formatRRule(rule)).to.equal("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH");
+  });
+
+  it("parseRRule → should reject invalid and unsupported rules", () => {
+    const invalid = [
+      "",
+      "BYDAY=MO",
+      "FREQ=HOURLY",
+      "FREQ=DAILY;INTERVAL=0",
+      "FREQ=DAILY;COUNT=2;UNTIL=20250101",
+      "FREQ=DAILY;FREQ=WEEKLY",
+      "FREQ=WEEKLY;BYDAY=1MO",
+      "FREQ=MONTHLY;BYMONTHDAY=32",
+      "FREQ=DAILY;BYSETPOS=1",
+      "FREQ=DAILY;UNTIL=20250230",
+    ];
+    for (const text of invalid) expect(parseRRule(text).error, text).to.be.a("string");
+  });
+
+  it("expandRRule → should expand weekly rules with an interval", () => {
+    expect(expand("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE", "2025-01-01T09:00:00Z", 4)).to.deep.equal([
+      "2025-01-01T09:00:00.000Z",
+      "2025-01-13T09:00:00.000Z",
+      "2025-01-15T09:00:00.000Z",
+      "2025-01-27T09:00:00.000Z",
+    ]);
+  });
+
+  it("expandRRule → should handle month ends and ordinal weekdays", () => {
+    expect(expand("FREQ=MONTHLY;BYMONTHDAY=-1", "2025-01-31T09:00:00Z", 3)).to.deep.equal([
+      "2025-01-31T09:00:00.000Z",
+      "2025-02-28T09:00:00.000Z",
+      "2025-03-31T09:00:00.000Z",
+    ]);
+    expect(expand("FREQ=MONTHLY;BYMONTHDAY=31", "2025-01-31T09:00:00Z", 2)[1]).to.equal("2025-03-31T09:00:00.000Z");
+    expect(expand("FREQ=YEARLY;BYMONTH=11;BYDAY=4TH", "2025-01-01T12:00:00Z", 2)).to.deep.equal([
+      "2025-11-27T12:00:00.000Z",
+      "2026-11-26T12:00:00.000Z",
+    ]);
+  });
+
+  it("expandRRule → should stop at COUNT and UNTIL", () => {
+    expect(expand("FREQ=DAILY;COUNT=2", "2025-01-30T09:00:00Z")).to.have.length(2);
+    expect(expand("FREQ=WEEKLY;UNTIL=20250115T090000Z", "2025-01-01T09:00:00Z")).to.have.length(3);
+    expect(expand("FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30", "2025-01-01T09:00:00Z")).to.deep.equal([]);
+  });
+
+  it("advanceRRule → should continue the series with the remaining COUNT", () => {
+    const { rule } = parseRRule("FREQ=WEEKLY;COUNT=2");
+    const next = advanceRRule(rule, new Date("2025-01-01T09:00:00Z"));
+    expect(next.date.toISOString()).to.equal("2025-01-08T09:00:00.000Z");
+    expect(formatRRule(next.rule)).to.equal("FREQ=WEEKLY;COUNT=1");
+    expect(advanceRRule(next.rule, next.date)).to.be.null;
+  });
+});
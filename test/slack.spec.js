@@ -0,0 +1,67 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { listMessage, parseSlashCommand, postSlackResponse, verifySlackSignature } from "../src/slack.js";
+
+describe("💬 Slack", () => {
+  // Recorded request from Slack's "Verifying requests from Slack" guide
+  const recorded = {
+    secret: "8f742231b10e8888abcd99yyyzzz85a5",
+    timestamp: "1531420618",
+    signature: "v0=a2114d57b48eac39b9ad189dd8316235a7b4a8d21a10bd27519666489c69b503",
+    body:
+      "token=xyzz0WbapA4vBCDEFasx0q6G&team_id=T1DC2JH3J&team_domain=testteamnow&channel_id=G8PSS9T3V&channel_name=foobar" +
+      "&user_id=U2CERLKJA&user_name=roadrunner&command=%2Fwebhook-collect&text=&response_url=https%3A%2F%2Fhooks.slack.com" +
+      "%2Fcommands%2FT1DC2JH3J%2F397700885554%2F96rGlfmibIGlgcZRskXaIFfN&trigger_id=398738663015.47445629121.803a0bc887a14d10d2c447fce8b6703c",
+  };
+
+  it("verifySlackSignature → should accept a recorded Slack request", async () => {
+    const { secret, ...request } = recorded;
+    expect(await verifySlackSignature(secret, request, 1531420618 + 60)).to.deep.equal({ valid: true, error: null });
+  });
+
+  it("verifySlackSignature → should reject tampered, unsigned and stale requests", async () => {
+    const { secret, ...request } = recorded;
+    const now = 1531420618;
+
+    expect((await verifySlackSignature(secret, { ...request, body: request.body.replace("text=", "text=list") }, now)).error).to.equal("Invalid Slack signature");
+    expect((await verifySlackSignature(secret, { ...request, signature: null }, now)).error).to.equal("Missing Slack signature");
+    expect((await verifySlackSignature(secret, request, now + 301)).error).to.equal("Stale Slack request");
+  });
+
+  it("parseSlashCommand → should read add, list and fall back to help", () => {
+    expect(parseSlashCommand("add  Buy milk today")).to.deep.equal({ command: "add", title: "Buy milk today" });
+    expect(parseSlashCommand("LIST")).to.deep.equal({ command: "list", status: undefined });
+    expect(parseSlashCommand("list in-progress")).to.deep.equal({ command: "list", status: "in-progress" });
+    expect(parseSlashCommand("add")).to.deep.equal({ command: "help" });
+    expect(parseSlashCommand("")).to.deep.equal({ command: "help" });
+  });
+
+  it("listMessage → should escape titles and add Complete buttons where allowed", () => {
+    const todos = [
+      { id: 1, title: "Fix <script> & styles", status: "incomplete", priority: "high", due_at: "2025-02-01T09:00:00.000Z" },
+      { id: 2, title: "Done", status: "complete", priority: "low" },
+    ];
+    const message = listMessage(todos, { heading: "*Todos*", more: true, canComplete: (todo) => todo.status !== "complete" });
+
+    expect(message.response_type).to.equal("ephemeral");
+    expect(message.blocks[1].text.text).to.equal("*Fix &lt;script&gt; &amp; styles*\nNot started · high priority · due 2025-02-01");
+    expect(message.blocks[1].accessory).to.deep.include({ type: "button", action_id: "complete_todo", value: "1" });
+    expect(message.blocks[2]).not.to.have.property("accessory");
+    expect(message.blocks[3].elements[0].text).to.equal("Showing the first 2 todos");
+  });
+
+  it("postSlackResponse → should only post to Slack response URLs", async () => {
+    const fetchFn = sinon.stub().resolves(new Response(null, { status: 200 }));
+    await postSlackResponse("https://hooks.slack.com/actions/T1/1/abc", { text: "hi" }, fetchFn);
+
+    expect(fetchFn.firstCall.args[1]).to.deep.include({ method: "POST", body: '{"text":"hi"}' });
+    let error;
+    try {
+      await postSlackResponse("https://attacker.example.com/", { text: "hi" }, fetchFn);
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.equal("Invalid Slack response_url");
+    expect(fetchFn.calledOnce).to.be.true;
+  });
+});
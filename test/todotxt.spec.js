@@ -0,0 +1,18 @@
+import { expect } from "chai";
+import { parseTodoTxtLine } from "../src/todotxt.js";
+
+describe("📝 todo.txt", () => {
+  it("parseTodoTxtLine → should map priority, projects, contexts and due dates", () => {
+    expect(parseTodoTxtLine("(A) 2025-01-20 Call the plumber +home @phone due:2025-02-01")).to.deep.equal({
+      priority: "urgent",
+      due_at: "2025-02-01T00:00:00Z",
+      title: "Call the plumber",
+      tags: ["home", "phone"],
+    });
+  });
+
+  it("parseTodoTxtLine → should read completed tasks and their dates", () => {
+    expect(parseTodoTxtLine("x 2025-01-31 2025-01-20 Pay rent")).to.deep.equal({ status: "complete", title: "Pay rent" });
+    expect(parseTodoTxtLine("(D) xylophone lessons")).to.deep.equal({ priority: "low", title: "xylophone lessons" });
+  });
+});
@@ -0,0 +1,108 @@
+import { expect } from "chai";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:http";
+import { deliveryOutcome, isPrivateHost, MAX_DELIVERY_ATTEMPTS, retryDelay, sendWebhook, signWebhookPayload } from "../src/webhooks.js";
+
+describe("🪝 Webhooks", () => {
+  let server;
+  let baseUrl;
+  let received;
+  let statusCode;
+
+  // Local stub receiver: records each request and answers with statusCode
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body });
+        res.writeHead(statusCode).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    statusCode = 204;
+  });
+
+  const delivery = { id: 12, event: "todo.created", payload: '{"event":"todo.created","todo":{"id":1}}', secret: "whsec_test_secret_value" };
+
+  it("signWebhookPayload → should HMAC the timestamp and body with the secret", async () => {
+    const expected = createHmac("sha256", "secret").update("1700000000.{}").digest("hex");
+    expect(await signWebhookPayload("secret", 1700000000, "{}")).to.equal(`sha256=${expected}`);
+  });
+
+  it("isPrivateHost → should flag local names and loopback, link-local and private addresses", () => {
+    const hostname = (url) => new URL(url).hostname;
+    const rejected = [
+      "https://localhost/",
+      "https://api.localhost/",
+      "https://metadata.google.internal/",
+      "https://printer.local./",
+      "https://intranet/",
+      "https://127.0.0.1/",
+      "https://0x7f.1/",
+      "https://0.0.0.0/",
+      "https://10.0.0.8/",
+      "https://172.16.5.4/",
+      "https://192.168.1.1/",
+      "https://100.64.0.1/",
+      "https://169.254.169.254/",
+      "https://[::1]/",
+      "https://[::]/",
+      "https://[::ffff:127.0.0.1]/",
+      "https://[fd12:3456::1]/",
+      "https://[fe80::1]/",
+    ];
+    const accepted = ["https://hooks.example.com/", "https://8.8.8.8/", "https://172.32.0.1/", "https://[2606:4700::1111]/", "https://[::ffff:8.8.8.8]/"];
+
+    expect(rejected.filter((url) => !isPrivateHost(hostname(url)))).to.be.empty;
+    expect(accepted.filter((url) => isPrivateHost(hostname(url)))).to.be.empty;
+  });
+
+  it("retryDelay → should double from one minute up to six hours", () => {
+    expect([1, 2, 3, 4].map(retryDelay)).to.deep.equal([60000, 120000, 240000, 480000]);
+    expect(retryDelay(20)).to.equal(6 * 60 * 60 * 1000);
+  });
+
+  it("deliveryOutcome → should retry failures until the last attempt", () => {
+    const now = new Date("2025-01-31T09:00:00Z");
+    expect(deliveryOutcome(1, 200, now)).to.deep.equal({ status: "delivered", next_attempt_at: null });
+    expect(deliveryOutcome(3, 503, now)).to.deep.equal({ status: "pending", next_attempt_at: "2025-01-31T09:04:00.000Z" });
+    expect(deliveryOutcome(2, null, now).status).to.equal("pending");
+    expect(deliveryOutcome(MAX_DELIVERY_ATTEMPTS, 302, now)).to.deep.equal({ status: "failed", next_attempt_at: null });
+  });
+
+  it("sendWebhook → should POST the signed payload to the stub server", async () => {
+    const now = new Date("2025-01-31T09:00:00Z");
+    const attempt = await sendWebhook({ ...delivery, url: `${baseUrl}/hooks` }, now);
+    const [request] = received;
+    const timestamp = String(now.getTime() / 1000);
+    const signature = createHmac("sha256", delivery.secret).update(`${timestamp}.${delivery.payload}`).digest("hex");
+
+    expect(attempt).to.include({ response_status: 204, error: null });
+    expect(request).to.include({ method: "POST", url: "/hooks", body: delivery.payload });
+    expect(request.headers).to.include({
+      "content-type": "application/json",
+      "x-webhook-event": "todo.created",
+      "x-webhook-delivery": "12",
+      "x-webhook-timestamp": timestamp,
+      "x-webhook-signature": `sha256=${signature}`,
+    });
+  });
+
+  it("sendWebhook → should report error responses and unreachable receivers", async () => {
+    statusCode = 500;
+    const failed = await sendWebhook({ ...delivery, url: baseUrl });
+    const unreachable = await sendWebhook({ ...delivery, url: "http://127.0.0.1:1/" });
+
+    expect(failed).to.include({ response_status: 500, error: "HTTP 500" });
+    expect(unreachable.response_status).to.be.null;
+    expect(unreachable.error).to.be.a("string").and.not.be.empty;
+  });
+});
@@ -0,0 +1,47 @@
+import { expect } from "chai";
+import { availableTransitions, DEFAULT_TRANSITIONS, nextStatuses, parseTransitions, sourceStatuses } from "../src/workflow.js";
+
+describe("🚦 Status workflow", () => {
+  it("parseTransitions → should use the default graph when nothing is configured", () => {
+    const { transitions, error } = parseTransitions(undefined);
+    expect(error).to.be.null;
+    expect(transitions).to.equal(DEFAULT_TRANSITIONS);
+  });
+
+  it("parseTransitions → should accept a custom graph", () => {
+    const { transitions, error } = parseTransitions(
+      JSON.stringify({ begin: { from: ["incomplete", "incomplete"], to: "in-progress" }, finish: { from: ["in-progress"], to: "complete" } })
+    );
+    expect(error).to.be.null;
+    expect(transitions.begin.from).to.deep.equal(["incomplete"]);
+    expect(nextStatuses(transitions, "incomplete")).to.deep.equal(["in-progress"]);
+  });
+
+  it("parseTransitions → should reject invalid graphs", () => {
+    const invalid = [
+      "{",
+      "[]",
+      "{}",
+      JSON.stringify({ "Bad Name": { from: ["incomplete"], to: "complete" } }),
+      JSON.stringify({ finish: { from: [], to: "complete" } }),
+      JSON.stringify({ finish: { from: ["done"], to: "complete" } }),
+      JSON.stringify({ finish: { from: ["incomplete"], to: "done" } }),
+      JSON.stringify({ finish: { from: ["complete"], to: "complete" } }),
+    ];
+    for (const text of invalid) expect(parseTransitions(text).error, text).to.be.a("string");
+  });
+
+  it("nextStatuses → should list the statuses reachable from a status", () => {
+    expect(nextStatuses(DEFAULT_TRANSITIONS, "archived")).to.deep.equal(["incomplete"]);
+    expect(nextStatuses(DEFAULT_TRANSITIONS, "incomplete")).to.deep.equal(["in-progress", "complete", "archived"]);
+  });
+
+  it("sourceStatuses → should include the target status itself", () => {
+    expect(sourceStatuses(DEFAULT_TRANSITIONS, "in-progress")).to.deep.equal(["incomplete", "in-progress"]);
+    expect(sourceStatuses(DEFAULT_TRANSITIONS, "complete")).to.deep.equal(["incomplete", "in-progress", "complete"]);
+  });
+
+  it("availableTransitions → should name the transitions that start from a status", () => {
+    expect(availableTransitions(DEFAULT_TRANSITIONS, "complete")).to.deep.equal(["reopen", "archive"]);
+  });
+});